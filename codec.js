@@ -0,0 +1,351 @@
+'use strict';
+
+//Reads and writes the equities v2 wire format, for the clients, their decode workers and the test kit. In a web page,
+//include this script after errors.js and before index.js; it is then available as window.IntrinioCodec.
+(function (exports) {
+  const { ConfigError, ParseError } = (typeof window === 'undefined') ? require('./errors') : window.IntrinioErrors;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder("utf8");
+  const unicodeDecoder = new TextDecoder("utf-16le");
+
+  function readString(bytes, startPos, endPos) {
+    if (startPos < 0) startPos = 0;
+    else if (startPos >= bytes.length) return '';
+    else startPos |= 0;
+    if (endPos === undefined || endPos > bytes.length) endPos = bytes.length;
+    else endPos |= 0;
+    if (endPos <= startPos) return '';
+    const chunk = bytes.slice(startPos, endPos);
+    return decoder.decode(chunk);
+  }
+
+  function readUnicodeString(bytes, startPos, endPos) {
+    if (startPos < 0) startPos = 0;
+    else if (startPos >= bytes.length) return '';
+    else startPos |= 0;
+    if (endPos === undefined || endPos > bytes.length) endPos = bytes.length;
+    else endPos |= 0;
+    if (endPos <= startPos) return '';
+    const chunk = bytes.slice(startPos, endPos);
+    return unicodeDecoder.decode(chunk);
+  }
+
+  function readInt32(bytes, startPos = 0) {
+    const first = bytes[startPos];
+    const last = bytes[startPos + 3];
+    if (first === undefined || last === undefined)
+      throw new ParseError("Intrinio Realtime Client - Cannot read UInt32", startPos);
+    return (
+        first +
+        (bytes[++startPos] * 256) +
+        (bytes[++startPos] * 65536) +
+        (last << 24)
+    );
+  }
+
+  function readUInt32(bytes, startPos = 0) {
+    const first = bytes[startPos];
+    const last = bytes[startPos + 3];
+    if (first === undefined || last === undefined)
+      throw new ParseError("Intrinio Realtime Client - Cannot read UInt32", startPos);
+    return (
+        first +
+        (bytes[++startPos] * 256) +
+        (bytes[++startPos] * 65536) +
+        (last * 16777216)
+    );
+  }
+
+  function readFloat32(bytes, float32Array, backingByteArray, startPos = 0) {
+    const first = bytes[startPos];
+    const last = bytes[startPos + 3];
+    if (first === undefined || last === undefined)
+      throw new ParseError("Intrinio Realtime Client - Cannot read Float32", startPos);
+    backingByteArray[0] = first;
+    backingByteArray[1] = bytes[++startPos];
+    backingByteArray[2] = bytes[++startPos];
+    backingByteArray[3] = last;
+    let parsed = parseFloat(float32Array[0].toFixed(4));
+    return parsed < 0 ? 0 : parsed;
+  }
+
+  function readUInt64(bytes, startPos = 0) {
+    const first = bytes[startPos];
+    const last = bytes[startPos + 7];
+    if (first === undefined || last === undefined)
+      throw new ParseError("Intrinio Realtime Client - Cannot read UInt64", startPos);
+    const lower =
+        first +
+        (bytes[++startPos] * 256) +
+        (bytes[++startPos] * 65536) +
+        (bytes[++startPos] * 16777216);
+    const upper =
+        bytes[++startPos] +
+        (bytes[++startPos] * 256) +
+        (bytes[++startPos] * 65536) +
+        (last * 16777216);
+    return (BigInt(lower) + (BigInt(upper) << 32n));
+  }
+
+  function writeString(bytes, string, startPos) {
+    if (startPos === undefined || startPos < 0 || startPos > bytes.length - 1) return bytes;
+    const encodedString = encoder.encode(string);
+    const bytesAvailable = bytes.length - startPos;
+    if (bytesAvailable < string.length) {
+      const trimmedEncodedString = encodedString.slice(0, bytesAvailable);
+      bytes.set(trimmedEncodedString, startPos);
+    }
+    else bytes.set(encodedString, startPos);
+  }
+
+  //Equities v2 wire format. A frame is a message count followed by that many messages, each of which starts
+  //with its type (0 = trade, 1 = ask, 2 = bid) and its total length in bytes.
+  const MESSAGE_TYPES = ['Trade', 'Ask', 'Bid'];
+  const MESSAGE_TYPE_CODES = { Trade: 0, Ask: 1, Bid: 2 };
+  const SUB_PROVIDERS = ['NONE', 'CTA_A', 'CTA_B', 'UTP', 'OTC', 'NASDAQ_BASIC', 'IEX', 'CBOE_ONE', 'EQUITIES_EDGE'];
+  const SUB_PROVIDER_CODES = { NONE: 0, CTA_A: 1, CTA_B: 2, UTP: 3, OTC: 4, NASDAQ_BASIC: 5, IEX: 6, CBOE_ONE: 7, EQUITIES_EDGE: 8 };
+  const codecFloat32Array = new Float32Array(1);
+  const codecBackingByteArray = new Uint8Array(codecFloat32Array.buffer);
+
+  function toBytes(data) {
+    return (data instanceof Uint8Array) ? data : new Uint8Array(data);
+  }
+
+  function getMessageType(code) {
+    return MESSAGE_TYPES[code] || '';
+  }
+
+  function getSubProvider(code) {
+    return SUB_PROVIDERS[code] || 'NONE';
+  }
+
+  function isDarkpoolTrade(subProvider, marketCenter) {
+    switch(subProvider) {
+      case 'CTA_A':
+      case 'CTA_B':
+      case 'UTP':
+      case 'OTC':
+        return (!marketCenter) || marketCenter == "\0" || marketCenter == "D" || marketCenter == "E" || marketCenter.trim().length === 0;
+      case 'NASDAQ_BASIC':
+        return (!marketCenter) || marketCenter == "\0" || marketCenter == "L" || marketCenter == "2" || marketCenter.trim().length === 0;
+      default:
+        return false;
+    }
+  }
+
+  function checkMessageLength(bytes, startIndex, minLength) {
+    const length = bytes[startIndex + 1];
+    if ((length === undefined) || (length < minLength) || (startIndex + length > bytes.length)) {
+      throw new ParseError("Intrinio Realtime Client - Truncated message", startIndex);
+    }
+  }
+
+  //A condition is the last field of a message, so its length byte must not reach past the message's own length
+  function checkConditionLength(bytes, startIndex, conditionLengthIndex) {
+    if (conditionLengthIndex + 1 + bytes[conditionLengthIndex] > startIndex + bytes[startIndex + 1]) {
+      throw new ParseError("Intrinio Realtime Client - Condition runs past the end of the message", conditionLengthIndex);
+    }
+  }
+
+  //Decodes the trade message that starts at 'startIndex'.
+  function decodeTrade(data, startIndex = 0) {
+    const bytes = toBytes(data);
+    checkMessageLength(bytes, startIndex, 27);
+    const symbolLength = bytes[startIndex + 2];
+    checkMessageLength(bytes, startIndex, 27 + symbolLength);
+    const symbolEnd = startIndex + 3 + symbolLength;
+    const conditionLength = bytes[symbolEnd + 23];
+    checkConditionLength(bytes, startIndex, symbolEnd + 23);
+    const marketCenter = readUnicodeString(bytes, symbolEnd + 1, symbolEnd + 3);
+    const subProvider = getSubProvider(bytes[symbolEnd]);
+    return {
+      Type: getMessageType(bytes[startIndex]),
+      Symbol: readString(bytes, startIndex + 3, symbolEnd),
+      Price: readFloat32(bytes, codecFloat32Array, codecBackingByteArray, symbolEnd + 3),
+      Size: readUInt32(bytes, symbolEnd + 7),
+      Timestamp: readUInt64(bytes, symbolEnd + 11),
+      TotalVolume: readUInt32(bytes, symbolEnd + 19),
+      SubProvider: subProvider,
+      MarketCenter: marketCenter,
+      Condition: conditionLength > 0 ? readString(bytes, symbolEnd + 24, symbolEnd + 24 + conditionLength) : "",
+      IsDarkpool: isDarkpoolTrade(subProvider, marketCenter)
+    }
+  }
+
+  //Decodes the ask or bid message that starts at 'startIndex'.
+  function decodeQuote(data, startIndex = 0) {
+    const bytes = toBytes(data);
+    checkMessageLength(bytes, startIndex, 23);
+    const symbolLength = bytes[startIndex + 2];
+    checkMessageLength(bytes, startIndex, 23 + symbolLength);
+    const symbolEnd = startIndex + 3 + symbolLength;
+    const conditionLength = bytes[symbolEnd + 19];
+    checkConditionLength(bytes, startIndex, symbolEnd + 19);
+    return {
+      Type: getMessageType(bytes[startIndex]),
+      Symbol: readString(bytes, startIndex + 3, symbolEnd),
+      Price: readFloat32(bytes, codecFloat32Array, codecBackingByteArray, symbolEnd + 3),
+      Size: readUInt32(bytes, symbolEnd + 7),
+      Timestamp: readUInt64(bytes, symbolEnd + 11),
+      SubProvider: getSubProvider(bytes[symbolEnd]),
+      MarketCenter: readUnicodeString(bytes, symbolEnd + 1, symbolEnd + 3),
+      Condition: conditionLength > 0 ? readString(bytes, symbolEnd + 20, symbolEnd + 20 + conditionLength) : ""
+    }
+  }
+
+  //Decodes the message that starts at 'startIndex'. Returns null for unknown message types.
+  function decodeMessage(data, startIndex = 0) {
+    const bytes = toBytes(data);
+    switch(bytes[startIndex]) {
+      case 0: return decodeTrade(bytes, startIndex);
+      case 1:
+      case 2: return decodeQuote(bytes, startIndex);
+      default:
+        checkMessageLength(bytes, startIndex, 2);
+        return null;
+    }
+  }
+
+  //Walks the messages of a frame in order, calling onMessage(bytes, startIndex, type) for each one. A message that is
+  //too short or runs past the end of the data ends the walk with onError(ParseError). Returns the index the walk ended
+  //at, which is the frame's length in bytes when every message was whole.
+  function forEachFrameMessage(bytes, onMessage, onError) {
+    const msgCount = bytes[0];
+    let startIndex = 1;
+    for (let i = 0; i < msgCount; i++) {
+      const msgLength = bytes[startIndex + 1];
+      if ((msgLength === undefined) || (msgLength < 2) || (startIndex + msgLength > bytes.length)) {
+        onError(new ParseError("Intrinio Realtime Client - Truncated message in frame", startIndex));
+        return startIndex;
+      }
+      onMessage(bytes, startIndex, bytes[startIndex]);
+      startIndex += msgLength;
+    }
+    return startIndex;
+  }
+
+  //Decodes every message in a frame, in order. Messages of unknown types are skipped.
+  function decodeGroup(data) {
+    const messages = [];
+    forEachFrameMessage(toBytes(data), (bytes, startIndex) => {
+      const message = decodeMessage(bytes, startIndex);
+      if (message !== null) messages.push(message);
+    }, (error) => {
+      throw error;
+    });
+    return messages;
+  }
+
+  //Decodes every message in a frame, in order. A malformed message becomes a ParseError entry (a truncated frame ends
+  //with one) and a message of unknown type becomes its type code, so the caller can report them in sequence.
+  function decodeFrameEntries(bytes) {
+    const entries = [];
+    forEachFrameMessage(bytes, (bytes, startIndex, type) => {
+      try {
+        const message = decodeMessage(bytes, startIndex);
+        entries.push((message !== null) ? message : type);
+      }
+      catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        entries.push(error);
+      }
+    }, (error) => entries.push(error));
+    return entries;
+  }
+
+  //Encodes a single trade message from a trade object.
+  function encodeTrade(trade) {
+    const symbol = encoder.encode(trade.Symbol);
+    const condition = encoder.encode(trade.Condition || "");
+    const length = 27 + symbol.length + condition.length;
+    if (length > 255) throw new ParseError("Intrinio Realtime Client - Trade message for '" + trade.Symbol + "' is too long to encode", 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = MESSAGE_TYPE_CODES.Trade;
+    bytes[1] = length;
+    bytes[2] = symbol.length;
+    bytes.set(symbol, 3);
+    bytes[3 + symbol.length] = SUB_PROVIDER_CODES[trade.SubProvider] || 0;
+    view.setUint16(4 + symbol.length, (trade.MarketCenter || "\0").charCodeAt(0), true);
+    view.setFloat32(6 + symbol.length, trade.Price, true);
+    view.setUint32(10 + symbol.length, trade.Size, true);
+    view.setBigUint64(14 + symbol.length, BigInt(trade.Timestamp), true);
+    view.setUint32(22 + symbol.length, trade.TotalVolume || 0, true);
+    bytes[26 + symbol.length] = condition.length;
+    bytes.set(condition, 27 + symbol.length);
+    return bytes;
+  }
+
+  //Encodes a single quote message from a quote object. 'Type' is either 'Ask' or 'Bid'.
+  function encodeQuote(quote) {
+    const symbol = encoder.encode(quote.Symbol);
+    const condition = encoder.encode(quote.Condition || "");
+    const length = 23 + symbol.length + condition.length;
+    if (length > 255) throw new ParseError("Intrinio Realtime Client - Quote message for '" + quote.Symbol + "' is too long to encode", 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = MESSAGE_TYPE_CODES[quote.Type];
+    bytes[1] = length;
+    bytes[2] = symbol.length;
+    bytes.set(symbol, 3);
+    bytes[3 + symbol.length] = SUB_PROVIDER_CODES[quote.SubProvider] || 0;
+    view.setUint16(4 + symbol.length, (quote.MarketCenter || "\0").charCodeAt(0), true);
+    view.setFloat32(6 + symbol.length, quote.Price, true);
+    view.setUint32(10 + symbol.length, quote.Size, true);
+    view.setBigUint64(14 + symbol.length, BigInt(quote.Timestamp), true);
+    bytes[22 + symbol.length] = condition.length;
+    bytes.set(condition, 23 + symbol.length);
+    return bytes;
+  }
+
+  function encodeMessage(message) {
+    switch(message.Type) {
+      case 'Trade': return encodeTrade(message);
+      case 'Ask':
+      case 'Bid': return encodeQuote(message);
+      default: throw new ConfigError("Intrinio Realtime Client - Cannot encode message of type '" + message.Type + "'");
+    }
+  }
+
+  //Encodes a frame from trade/quote objects and/or already encoded messages.
+  function encodeGroup(messages) {
+    if (messages.length > 255) throw new ConfigError("Intrinio Realtime Client - A frame holds at most 255 messages");
+    const encoded = messages.map(message => (message instanceof Uint8Array) ? message : encodeMessage(message));
+    let length = 1;
+    for (const message of encoded) length += message.length;
+    const bytes = new Uint8Array(length);
+    bytes[0] = encoded.length;
+    let startIndex = 1;
+    for (const message of encoded) {
+      bytes.set(message, startIndex);
+      startIndex += message.length;
+    }
+    return bytes;
+  }
+
+  exports.readString = readString;
+  exports.readUnicodeString = readUnicodeString;
+  exports.readInt32 = readInt32;
+  exports.readUInt32 = readUInt32;
+  exports.readFloat32 = readFloat32;
+  exports.readUInt64 = readUInt64;
+  exports.writeString = writeString;
+  exports.MESSAGE_TYPE_CODES = MESSAGE_TYPE_CODES;
+  exports.SUB_PROVIDER_CODES = SUB_PROVIDER_CODES;
+  exports.toBytes = toBytes;
+  exports.getMessageType = getMessageType;
+  exports.getSubProvider = getSubProvider;
+  exports.isDarkpoolTrade = isDarkpoolTrade;
+  exports.checkMessageLength = checkMessageLength;
+  exports.decodeTrade = decodeTrade;
+  exports.decodeQuote = decodeQuote;
+  exports.decodeMessage = decodeMessage;
+  exports.forEachFrameMessage = forEachFrameMessage;
+  exports.decodeGroup = decodeGroup;
+  exports.decodeFrameEntries = decodeFrameEntries;
+  exports.encodeTrade = encodeTrade;
+  exports.encodeQuote = encodeQuote;
+  exports.encodeMessage = encodeMessage;
+  exports.encodeGroup = encodeGroup;
+})((typeof module !== 'undefined') ? module.exports : (window.IntrinioCodec = {}));
@@ -0,0 +1,56 @@
+'use strict';
+
+//The errors thrown by the clients and the codec. In a web page, include this script before codec.js and index.js;
+//it is then available as window.IntrinioErrors.
+(function (exports) {
+  class IntrinioRealtimeError extends Error {
+    constructor(message, options) {
+      super(message, options);
+      this.name = this.constructor.name;
+    }
+  }
+
+  //Invalid client configuration or usage. Retrying will not help.
+  class ConfigError extends IntrinioRealtimeError {}
+
+  //The auth endpoint refused or failed the token request. 'status' is the HTTP status code, when there was one.
+  class AuthError extends IntrinioRealtimeError {
+    constructor(message, status, options) {
+      super(message, options);
+      this.status = status;
+    }
+  }
+
+  //The websocket (or the network underneath it) failed. 'code' is the websocket close code, when there was one.
+  class ConnectionError extends IntrinioRealtimeError {
+    constructor(message, code, reason, options) {
+      super(message, options);
+      this.code = code;
+      this.reason = reason;
+    }
+  }
+
+  //A replay file or its download URL could not be fetched. 'status' is the HTTP status code, when there was one.
+  class ReplayDownloadError extends IntrinioRealtimeError {
+    constructor(message, status, fileName, options) {
+      super(message, options);
+      this.status = status;
+      this.fileName = fileName;
+    }
+  }
+
+  //A binary frame was truncated or malformed. 'offset' is the byte position the parser failed at.
+  class ParseError extends IntrinioRealtimeError {
+    constructor(message, offset, options) {
+      super(message, options);
+      this.offset = offset;
+    }
+  }
+
+  exports.IntrinioRealtimeError = IntrinioRealtimeError;
+  exports.ConfigError = ConfigError;
+  exports.AuthError = AuthError;
+  exports.ConnectionError = ConnectionError;
+  exports.ReplayDownloadError = ReplayDownloadError;
+  exports.ParseError = ParseError;
+})((typeof module !== 'undefined') ? module.exports : (window.IntrinioErrors = {}));
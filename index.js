@@ -1,8 +1,14 @@
 'use strict'
 
+//In a web page, errors.js and codec.js are included as scripts before this one
+const { IntrinioRealtimeError, ConfigError, AuthError, ConnectionError, ReplayDownloadError, ParseError } =
+  (typeof window === 'undefined') ? require('./errors') : window.IntrinioErrors;
+const { readString, readUInt32, readUInt64, writeString, toBytes, getMessageType, getSubProvider, checkMessageLength,
+  decodeTrade, decodeQuote, decodeMessage, decodeGroup, forEachFrameMessage, decodeFrameEntries, encodeTrade, encodeQuote,
+  encodeMessage, encodeGroup, MESSAGE_TYPE_CODES, SUB_PROVIDER_CODES } = (typeof window === 'undefined') ? require('./codec') : window.IntrinioCodec;
+
 const encoder = new TextEncoder();
 const decoder = new TextDecoder("utf8");
-const unicodeDecoder = new TextDecoder("utf-16le");
 
 const SELF_HEAL_BACKOFFS = [10000, 30000, 60000, 300000, 600000];
 
@@ -10,115 +16,393 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+function stringifyLogArg(arg) {
+  if ((typeof arg === "string") || (arg instanceof Error)) return String(arg);
+  if ((arg === null) || (typeof arg !== "object")) return String(arg);
+  try {
+    return JSON.stringify(arg, (key, value) => typeof value === "bigint" ? value.toString() : value);
+  }
+  catch (error) {
+    return String(arg);
+  }
+}
+
+function formatLogMessage(message, args) {
+  let argIndex = 0;
+  let formatted = String(message).replace(/%([sidfoOj%])/g, (match, specifier) => {
+    if (specifier === "%") return "%";
+    if (argIndex >= args.length) return match;
+    const arg = args[argIndex++];
+    switch (specifier) {
+      case "i": return String(parseInt(arg));
+      case "d":
+      case "f": return String(Number(arg));
+      case "s": return String(arg);
+      default: return stringifyLogArg(arg);
+    }
+  });
+  for (; argIndex < args.length; argIndex++) {
+    formatted += " " + stringifyLogArg(args[argIndex]);
+  }
+  return formatted;
+}
+
+//Wraps a console, pino or winston style logger. Messages are formatted before being handed over,
+//so the underlying logger always receives a single string.
+class IntrinioLogger {
+  constructor(logger = console, logLevel = "info") {
+    if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, logLevel)) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.logLevel' must be one of 'debug', 'info', 'warn', 'error' or 'silent'");
+    }
+    this._logger = logger || console;
+    this._level = LOG_LEVELS[logLevel];
+  }
+
+  _write(level, message, args) {
+    if (LOG_LEVELS[level] < this._level) return;
+    const write = this._logger[level] || this._logger.log || this._logger.info;
+    if (write) write.call(this._logger, formatLogMessage(message, args));
+  }
+
+  debug(message, ...args) {
+    this._write("debug", message, args);
+  }
+
+  info(message, ...args) {
+    this._write("info", message, args);
+  }
+
+  warn(message, ...args) {
+    this._write("warn", message, args);
+  }
+
+  error(message, ...args) {
+    this._write("error", message, args);
+  }
+}
+
 const CLIENT_INFO_HEADER_KEY = "Client-Information";
 const CLIENT_INFO_HEADER_VALUE = "IntrinioRealtimeNodeSDKv5.7";
 const MESSAGE_VERSION_HEADER_KEY = "UseNewEquitiesFormat";
 const MESSAGE_VERSION_HEADER_VALUE = "v2";
-const EVENT_BUFFER_SIZE = 100;
 
-async function doBackoff(context, callback) {
+//Calls callback until it resolves, sleeping between attempts. options: { maxAttempts, backoffs, jitter, isCancelled, onFailure }
+//backoffs are the delays in ms (the last is repeated), each randomly varied by up to +/- jitter (a fraction of the delay).
+//onFailure(error) is called after every failed attempt. Throws the last error once maxAttempts have failed, or once
+//isCancelled() returns true.
+async function doBackoff(context, callback, options = {}) {
+  const maxAttempts = options.maxAttempts || Infinity;
+  const backoffs = (options.backoffs && (options.backoffs.length > 0)) ? options.backoffs : SELF_HEAL_BACKOFFS;
+  const jitter = options.jitter || 0;
+  const isCancelled = options.isCancelled || (() => false);
+  const onFailure = options.onFailure || ((_) => {});
   let i = 0;
-  let backoff = SELF_HEAL_BACKOFFS[i];
+  let attempts = 1;
   let success = true;
-  await callback.call(context).catch(() => success = false);
+  let lastError = undefined;
+  await callback.call(context).catch((error) => {success = false; lastError = error;});
   while (!success) {
-    console.log("Intrinio Realtime Client - Sleeping for %isec", (backoff/1000));
+    onFailure(lastError);
+    if ((attempts >= maxAttempts) || isCancelled()) {
+      throw lastError;
+    }
+    const backoff = Math.max(0, Math.round(backoffs[i] * (1 + (jitter * ((Math.random() * 2) - 1)))));
+    context._logger.info("Intrinio Realtime Client - Sleeping for %dsec", (backoff/1000));
     await sleep(backoff);
-    i = Math.min(i + 1, SELF_HEAL_BACKOFFS.length - 1);
-    backoff = SELF_HEAL_BACKOFFS[i];
+    if (isCancelled()) {
+      throw lastError;
+    }
+    i = Math.min(i + 1, backoffs.length - 1);
+    attempts++;
     success = true;
-    await callback.call(context).catch(() => success = false);
+    await callback.call(context).catch((error) => {success = false; lastError = error;});
   }
 }
 
-function readString(bytes, startPos, endPos) {
-  if (startPos < 0) startPos = 0;
-  else if (startPos >= bytes.length) return '';
-  else startPos |= 0;
-  if (endPos === undefined || endPos > bytes.length) endPos = bytes.length;
-  else endPos |= 0;
-  if (endPos <= startPos) return '';
-  const chunk = bytes.slice(startPos, endPos);
-  return decoder.decode(chunk);
+function tradeCondition(description, updatesHighLow, updatesLast, updatesVolume, subProviders) {
+  return Object.freeze({ description: description, updatesHighLow: updatesHighLow, updatesLast: updatesLast, updatesVolume: updatesVolume, subProviders: subProviders || null });
+}
+
+function quoteCondition(description, subProviders) {
+  return Object.freeze({ description: description, subProviders: subProviders || null });
 }
 
-function readUnicodeString(bytes, startPos, endPos) {
-  if (startPos < 0) startPos = 0;
-  else if (startPos >= bytes.length) return '';
-  else startPos |= 0;
-  if (endPos === undefined || endPos > bytes.length) endPos = bytes.length;
-  else endPos |= 0;
-  if (endPos <= startPos) return '';
-  const chunk = bytes.slice(startPos, endPos);
-  return unicodeDecoder.decode(chunk);
+const CTA_SUB_PROVIDERS = Object.freeze(['CTA_A', 'CTA_B']);
+const UTP_SUB_PROVIDERS = Object.freeze(['UTP']);
+//The SIPs each only disseminate some of the codes below (subProviders). Other subproviders are not restricted.
+const SIP_SUB_PROVIDERS = new Set(['CTA_A', 'CTA_B', 'UTP']);
+
+const codec = {
+  decodeTrade: decodeTrade,
+  decodeQuote: decodeQuote,
+  decodeMessage: decodeMessage,
+  decodeGroup: decodeGroup,
+  forEachFrameMessage: forEachFrameMessage,
+  encodeTrade: encodeTrade,
+  encodeQuote: encodeQuote,
+  encodeMessage: encodeMessage,
+  encodeGroup: encodeGroup,
+  getMessageType: getMessageType,
+  getSubProvider: getSubProvider,
+  MESSAGE_TYPE_CODES: MESSAGE_TYPE_CODES,
+  SUB_PROVIDER_CODES: SUB_PROVIDER_CODES
+};
+
+//Equities trade (sale) conditions, used by every subprovider except CBOE_ONE. A Condition may hold several of these codes.
+//updatesHighLow/updatesLast/updatesVolume say which consolidated statistics a trade with the code may update.
+//Sources: the codes and descriptions are Intrinio's published table (README, "Equities Trade Conditions"). The update
+//flags and which SIP sends a code (K is CTA only, Y UTP only) follow the sale condition matrices of the CTA CTS Output
+//Specification and the UTP UTDF Specification; where a matrix only allows an update in some cases (e.g. G, P, Z, 4
+//update the last sale only if nothing later was reported), the update is treated as not allowed.
+const TRADE_CONDITIONS = Object.freeze({
+  '@': tradeCondition("Regular Sale", true, true, true),
+  'A': tradeCondition("Acquisition", true, true, true),
+  'B': tradeCondition("Bunched Trade", true, true, true),
+  'C': tradeCondition("Cash Sale", false, false, true),
+  'D': tradeCondition("Distribution", true, true, true),
+  'E': tradeCondition("Placeholder", true, true, true),
+  'F': tradeCondition("Intermarket Sweep", true, true, true),
+  'G': tradeCondition("Bunched Sold Trade", true, false, true),
+  'H': tradeCondition("Priced Variation Trade", false, false, true),
+  'I': tradeCondition("Odd Lot Trade", false, false, true),
+  'K': tradeCondition("Rule 155 Trade (AMEX)", true, true, true, CTA_SUB_PROVIDERS),
+  'L': tradeCondition("Sold Last", true, true, true),
+  'M': tradeCondition("Market Center Official Close", false, false, false),
+  'N': tradeCondition("Next Day", false, false, true),
+  'O': tradeCondition("Opening Prints", true, true, true),
+  'P': tradeCondition("Prior Reference Price", true, false, true),
+  'Q': tradeCondition("Market Center Official Open", false, false, false),
+  'R': tradeCondition("Seller", false, false, true),
+  'S': tradeCondition("Split Trade", true, true, true),
+  'T': tradeCondition("Form T", false, false, true),
+  'U': tradeCondition("Extended Trading Hours (Sold Out of Sequence)", false, false, true),
+  'V': tradeCondition("Contingent Trade", false, false, true),
+  'W': tradeCondition("Average Price Trade", false, false, true),
+  'X': tradeCondition("Cross/Periodic Auction Trade", true, true, true),
+  'Y': tradeCondition("Yellow Flag Regular Trade", true, true, true, UTP_SUB_PROVIDERS),
+  'Z': tradeCondition("Sold (Out of Sequence)", true, false, true),
+  '1': tradeCondition("Stopped Stock (Regular Trade)", true, true, true),
+  '4': tradeCondition("Derivatively Priced", true, false, true),
+  '5': tradeCondition("Re-Opening Prints", true, true, true),
+  '6': tradeCondition("Closing Prints", true, true, true),
+  '7': tradeCondition("Qualified Contingent Trade (QCT)", false, false, true),
+  '8': tradeCondition("Placeholder for 611 Exempt", true, true, true),
+  '9': tradeCondition("Corrected Consolidated Close (Per Listing Market)", false, false, false, CTA_SUB_PROVIDERS)
+});
+
+//CBOE One trade conditions are the integer representation of a bit flag. Source: Intrinio's published flag list
+//(README, "Equities Trade Conditions (CBOE One)"); the descriptions below are those names spelled out.
+const CBOE_ONE_TRADE_CONDITIONS = Object.freeze({
+  None: 0,
+  UpdateHighLowConsolidated: 1,
+  UpdateLastConsolidated: 2,
+  UpdateHighLowMarketCenter: 4,
+  UpdateLastMarketCenter: 8,
+  UpdateVolumeConsolidated: 16,
+  OpenConsolidated: 32,
+  OpenMarketCenter: 64,
+  CloseConsolidated: 128,
+  CloseMarketCenter: 256,
+  UpdateVolumeMarketCenter: 512
+});
+
+const CBOE_ONE_TRADE_CONDITION_DESCRIPTIONS = Object.freeze({
+  UpdateHighLowConsolidated: "Update Consolidated High/Low",
+  UpdateLastConsolidated: "Update Consolidated Last",
+  UpdateHighLowMarketCenter: "Update Market Center High/Low",
+  UpdateLastMarketCenter: "Update Market Center Last",
+  UpdateVolumeConsolidated: "Update Consolidated Volume",
+  OpenConsolidated: "Consolidated Open",
+  OpenMarketCenter: "Market Center Open",
+  CloseConsolidated: "Consolidated Close",
+  CloseMarketCenter: "Market Center Close",
+  UpdateVolumeMarketCenter: "Update Market Center Volume"
+});
+
+//Equities quote conditions. The two digit codes are only sent by CTA (see the CTA CTS Output Specification).
+//Source: Intrinio's published table (README, "Equities Quote Conditions").
+const QUOTE_CONDITIONS = Object.freeze({
+  'R': quoteCondition("Regular"),
+  'A': quoteCondition("Slow on Ask"),
+  'B': quoteCondition("Slow on Bid"),
+  'C': quoteCondition("Closing"),
+  'D': quoteCondition("News Dissemination"),
+  'E': quoteCondition("Slow on Bid (LRP or Gap Quote)"),
+  'F': quoteCondition("Fast Trading"),
+  'G': quoteCondition("Trading Range Indication"),
+  'H': quoteCondition("Slow on Bid and Ask"),
+  'I': quoteCondition("Order Imbalance"),
+  'J': quoteCondition("Due to Related - News Dissemination"),
+  'K': quoteCondition("Due to Related - News Pending"),
+  'L': quoteCondition("Closed"),
+  'M': quoteCondition("Volatility Trading Pause"),
+  'N': quoteCondition("Non-Firm Quote"),
+  'O': quoteCondition("Opening"),
+  'P': quoteCondition("News Pending"),
+  'S': quoteCondition("Due to Related"),
+  'T': quoteCondition("Resume"),
+  'U': quoteCondition("Slow on Bid and Ask (LRP or Gap Quote)"),
+  'V': quoteCondition("In View of Common"),
+  'W': quoteCondition("Slow on Bid and Ask (Non-Firm)"),
+  'X': quoteCondition("Equipment Changeover"),
+  'Y': quoteCondition("Sub-Penny Trading"),
+  'Z': quoteCondition("No Open / No Resume"),
+  '1': quoteCondition("Market Wide Circuit Breaker Level 1"),
+  '2': quoteCondition("Market Wide Circuit Breaker Level 2"),
+  '3': quoteCondition("Market Wide Circuit Breaker Level 3"),
+  '4': quoteCondition("On Demand Intraday Auction"),
+  '45': quoteCondition("Additional Information Required (CTS)", CTA_SUB_PROVIDERS),
+  '46': quoteCondition("Regulatory Concern (CTS)", CTA_SUB_PROVIDERS),
+  '47': quoteCondition("Merger Effective", CTA_SUB_PROVIDERS),
+  '49': quoteCondition("Corporate Action (CTS)", CTA_SUB_PROVIDERS),
+  '50': quoteCondition("New Security Offering (CTS)", CTA_SUB_PROVIDERS),
+  '51': quoteCondition("Intraday Indicative Value Unavailable (CTS)", CTA_SUB_PROVIDERS)
+});
+
+function isConditionForSubProvider(entry, subProvider) {
+  return (entry.subProviders === null) || !SIP_SUB_PROVIDERS.has(subProvider) || entry.subProviders.includes(subProvider);
 }
 
-function readInt32(bytes, startPos = 0) {
-  const first = bytes[startPos];
-  const last = bytes[startPos + 3];
-  if (first === undefined || last === undefined)
-    console.error("Intrinio Realtime Client - Cannot read UInt32");
-  return (
-      first +
-      (bytes[++startPos] * 256) +
-      (bytes[++startPos] * 65536) +
-      (last << 24)
-  );
+//Splits a condition string into codes found in the table. Padding spaces and nulls are dropped.
+function splitConditionCodes(condition, table, subProvider) {
+  const codes = [];
+  const unknownCodes = [];
+  const trimmed = (condition || "").replace(/[\s\0]/g, "");
+  const parts = ((trimmed.length > 1) && table[trimmed]) ? [trimmed] : Array.from(trimmed);
+  for (const code of parts) {
+    if (table[code] && isConditionForSubProvider(table[code], subProvider)) codes.push(code);
+    else unknownCodes.push(code);
+  }
+  return { codes: codes, unknownCodes: unknownCodes };
 }
 
-function readUInt32(bytes, startPos = 0) {
-  const first = bytes[startPos];
-  const last = bytes[startPos + 3];
-  if (first === undefined || last === undefined)
-    console.error("Intrinio Realtime Client - Cannot read UInt32");
-  return (
-      first +
-      (bytes[++startPos] * 256) +
-      (bytes[++startPos] * 65536) +
-      (last * 16777216)
-  );
+function decodeCboeOneTradeConditions(condition) {
+  const isBlank = (condition || "").trim().length === 0;
+  const flags = isBlank ? 0 : (parseInt(condition, 10) || 0);
+  const codes = Object.keys(CBOE_ONE_TRADE_CONDITIONS).filter(name => (CBOE_ONE_TRADE_CONDITIONS[name] & flags) !== 0);
+  //a trade without a condition updates everything, like a regular sale
+  const has = (flag) => isBlank || ((flags & flag) !== 0);
+  const updatesHighLow = has(CBOE_ONE_TRADE_CONDITIONS.UpdateHighLowConsolidated);
+  const updatesLast = has(CBOE_ONE_TRADE_CONDITIONS.UpdateLastConsolidated);
+  const updatesVolume = has(CBOE_ONE_TRADE_CONDITIONS.UpdateVolumeConsolidated);
+  return {
+    codes: codes,
+    descriptions: codes.map(code => CBOE_ONE_TRADE_CONDITION_DESCRIPTIONS[code]),
+    unknownCodes: [],
+    updatesHighLow: updatesHighLow,
+    updatesLast: updatesLast,
+    updatesVolume: updatesVolume,
+    isRegular: updatesHighLow && updatesLast && updatesVolume,
+    isOddLot: false,
+    isOpeningPrint: !isBlank && ((flags & (CBOE_ONE_TRADE_CONDITIONS.OpenConsolidated | CBOE_ONE_TRADE_CONDITIONS.OpenMarketCenter)) !== 0),
+    isClosingPrint: !isBlank && ((flags & (CBOE_ONE_TRADE_CONDITIONS.CloseConsolidated | CBOE_ONE_TRADE_CONDITIONS.CloseMarketCenter)) !== 0),
+    isExtendedHours: false,
+    isOutOfSequence: false,
+    isIntermarketSweep: false,
+    isAveragePrice: false,
+    isCross: false,
+    isDerivativelyPriced: false,
+    isQualifiedContingent: false
+  };
 }
 
-function readFloat32(bytes, float32Array, backingByteArray, startPos = 0) {
-  const first = bytes[startPos];
-  const last = bytes[startPos + 3];
-  if (first === undefined || last === undefined)
-    console.error("Intrinio Realtime Client - Cannot read Float32");
-  backingByteArray[0] = first;
-  backingByteArray[1] = bytes[++startPos];
-  backingByteArray[2] = bytes[++startPos];
-  backingByteArray[3] = last;
-  let parsed = parseFloat(float32Array[0].toFixed(4));
-  return parsed < 0 ? 0 : parsed;
+//Decodes a trade's Condition into its codes and flags. The update flags are only true if every code allows the update.
+//CBOE_ONE conditions are bit flags, so only the update, opening and closing flags can be set for them.
+function decodeTradeConditions(trade) {
+  if (trade.SubProvider === 'CBOE_ONE') return decodeCboeOneTradeConditions(trade.Condition);
+  const { codes, unknownCodes } = splitConditionCodes(trade.Condition, TRADE_CONDITIONS, trade.SubProvider);
+  const has = (...candidates) => codes.some(code => candidates.includes(code));
+  return {
+    codes: codes,
+    descriptions: codes.map(code => TRADE_CONDITIONS[code].description),
+    unknownCodes: unknownCodes,
+    updatesHighLow: codes.every(code => TRADE_CONDITIONS[code].updatesHighLow),
+    updatesLast: codes.every(code => TRADE_CONDITIONS[code].updatesLast),
+    updatesVolume: codes.every(code => TRADE_CONDITIONS[code].updatesVolume),
+    isRegular: codes.every(code => code === '@'),
+    isOddLot: has('I'),
+    isOpeningPrint: has('O', 'Q'),
+    isClosingPrint: has('6', 'M'),
+    isExtendedHours: has('T', 'U'),
+    isOutOfSequence: has('U', 'Z'),
+    isIntermarketSweep: has('F'),
+    isAveragePrice: has('W'),
+    isCross: has('X'),
+    isDerivativelyPriced: has('4'),
+    isQualifiedContingent: has('7')
+  };
 }
 
-function readUInt64(bytes, startPos = 0) {
-  const first = bytes[startPos];
-  const last = bytes[startPos + 7];
-  if (first === undefined || last === undefined)
-    console.error("Intrinio Realtime Client - Cannot read UInt64");
-  const lower =
-      first +
-      (bytes[++startPos] * 256) +
-      (bytes[++startPos] * 65536) +
-      (bytes[++startPos] * 16777216);
-  const upper =
-      bytes[++startPos] +
-      (bytes[++startPos] * 256) +
-      (bytes[++startPos] * 65536) +
-      (last * 16777216);
-  return (BigInt(lower) + (BigInt(upper) << 32n));
+//Decodes a quote's Condition into its codes and flags.
+function decodeQuoteConditions(quote) {
+  const { codes, unknownCodes } = splitConditionCodes(quote.Condition, QUOTE_CONDITIONS, quote.SubProvider);
+  const has = (...candidates) => codes.some(code => candidates.includes(code));
+  return {
+    codes: codes,
+    descriptions: codes.map(code => QUOTE_CONDITIONS[code].description),
+    unknownCodes: unknownCodes,
+    isRegular: codes.every(code => code === 'R'),
+    isOpening: has('O'),
+    isClosing: has('C', 'L'),
+    isSlow: has('A', 'B', 'E', 'H', 'U', 'W'),
+    isNonFirm: has('N', 'W'),
+    isFastTrading: has('F'),
+    isOrderImbalance: has('I'),
+    isNewsPending: has('P', 'K'),
+    isTradingPause: has('M'),
+    isCircuitBreaker: has('1', '2', '3')
+  };
 }
 
-function writeString(bytes, string, startPos) {
-  if (startPos === undefined || startPos < 0 || startPos > bytes.length - 1) return bytes;
-  const encodedString = encoder.encode(string);
-  const bytesAvailable = bytes.length - startPos;
-  if (bytesAvailable < string.length) {
-    const trimmedEncodedString = encodedString.slice(0, bytesAvailable);
-    bytes.set(trimmedEncodedString, startPos);
-  }
-  else bytes.set(encodedString, startPos);
+function decodeConditions(message) {
+  return (message.Type === 'Trade') ? decodeTradeConditions(message) : decodeQuoteConditions(message);
+}
+
+const conditions = {
+  decodeTradeConditions: decodeTradeConditions,
+  decodeQuoteConditions: decodeQuoteConditions,
+  decodeConditions: decodeConditions,
+  TRADE_CONDITIONS: TRADE_CONDITIONS,
+  CBOE_ONE_TRADE_CONDITIONS: CBOE_ONE_TRADE_CONDITIONS,
+  QUOTE_CONDITIONS: QUOTE_CONDITIONS
+};
+
+const easternDateFormat = new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York", year: "numeric", month: "2-digit", day: "2-digit" });
+
+const easternDateTimeFormat = new Intl.DateTimeFormat("en-US", { timeZone: "America/New_York", hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+//The US/Eastern calendar date (YYYY-MM-DD) of a millisecond epoch time.
+function getEasternDateString(epochMs) {
+  return easternDateFormat.format(new Date(epochMs));
+}
+
+//The millisecond epoch time of a US/Eastern wall clock time on a US/Eastern date (YYYY-MM-DD).
+function getEasternEpochMs(dateString, hours, minutes, seconds = 0) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const parts = {};
+  for (const part of easternDateTimeFormat.formatToParts(new Date(guess))) parts[part.type] = Number(part.value);
+  const easternAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return guess + (guess - easternAsUtc);
+}
+
+//Whether a millisecond epoch time falls on a weekday between marketHours.open and marketHours.close ("HH:MM", US/Eastern).
+//Market holidays are not known, so they count as market hours.
+function isDuringMarketHours(epochMs, marketHours) {
+  const dateString = getEasternDateString(epochMs);
+  const weekday = new Date(dateString + "T12:00:00Z").getUTCDay();
+  if ((weekday === 0) || (weekday === 6)) return false;
+  const [openHours, openMinutes] = marketHours.open.split(":").map(Number);
+  const [closeHours, closeMinutes] = marketHours.close.split(":").map(Number);
+  return (epochMs >= getEasternEpochMs(dateString, openHours, openMinutes)) && (epochMs < getEasternEpochMs(dateString, closeHours, closeMinutes));
 }
 
 function copyInto(source, destination, destinationStartIndex){
@@ -140,19 +424,25 @@ async function readFileChunk(fileStream, chunkSize){
 async function * replayTickFileWithoutDelay(filePath){
   if (require('fs').existsSync(filePath)) {
     const fileStream = await require('fs').promises.open(filePath, 'r');
-    let readResult = await readFileChunk(fileStream, 1);
-    while (readResult !== undefined && readResult !== null){
-      let eventBytes= Buffer.alloc(EVENT_BUFFER_SIZE);
-      eventBytes[0] = 1; // This is the number of messages in the group
-      eventBytes[1] = readResult[0]; // This is message type
-      eventBytes[2] = (await readFileChunk(fileStream, 1))[0]; // This is message length, including this and the previous byte.
-      copyInto(await readFileChunk(fileStream, eventBytes[2] - 2), eventBytes, 3); // read the rest of the message
-      let timeReceivedBytes = await readFileChunk(fileStream, 8);
-      let timeReceived = readUInt64(timeReceivedBytes, 0);
-      yield new Tick(timeReceived, eventBytes);
-      readResult = await readFileChunk(fileStream, 1);
-    }
-    fileStream.close();
+    try {
+      let readResult = await readFileChunk(fileStream, 1);
+      while (readResult !== undefined && readResult !== null){
+        const messageType = readResult[0];
+        const messageLength = (await readFileChunk(fileStream, 1))[0]; // This is message length, including this and the previous byte.
+        let eventBytes= Buffer.alloc(1 + messageLength);
+        eventBytes[0] = 1; // This is the number of messages in the group
+        eventBytes[1] = messageType; // This is message type
+        eventBytes[2] = messageLength;
+        copyInto(await readFileChunk(fileStream, eventBytes[2] - 2), eventBytes, 3); // read the rest of the message
+        let timeReceivedBytes = await readFileChunk(fileStream, 8);
+        let timeReceived = readUInt64(timeReceivedBytes, 0);
+        yield new Tick(timeReceived, eventBytes);
+        readResult = await readFileChunk(fileStream, 1);
+      }
+    }
+    finally {
+      await fileStream.close();
+    }
   }
   else
     yield null;
@@ -208,36 +498,19 @@ async function * replayFileGroupWithoutDelay(tickGroup) {
   for (let i = 0; i < tickGroup.length; i++) {
     enumerators[i] = tickGroup[i]
   }
-  await fillNextTicks(enumerators, nextTicks)
-  while (hasAnyValue(nextTicks)){
-    let nextTick = pullNextTick(nextTicks);
-    if (nextTick !== undefined && nextTick !== null){
-      yield nextTick;
+  try {
+    await fillNextTicks(enumerators, nextTicks)
+    while (hasAnyValue(nextTicks)){
+      let nextTick = pullNextTick(nextTicks);
+      if (nextTick !== undefined && nextTick !== null){
+        yield nextTick;
+      }
+      await fillNextTicks(enumerators, nextTicks);
     }
-    await fillNextTicks(enumerators, nextTicks);
-  }
-}
-
-async function * replayFileGroupWithDelay(allTicks){
-  const multiplier = BigInt(1000000);
-  const start = BigInt(new Date().getTime()) * multiplier; //getTime returns milliseconds since epoch
-  let offset = BigInt(0);
-
-  let aggregatedTickIterator = await replayFileGroupWithoutDelay(allTicks);
-  let next = await aggregatedTickIterator.next();
-  if (offset === BigInt(0)) {
-    offset = start - next.value.timeReceived;
   }
-  yield next.value;
-  while(!next.done){
-    next = await aggregatedTickIterator.next();
-    // sleep until the tick happens
-    const now = BigInt(new Date().getTime()) * multiplier;
-    if ((next.value.timeReceived + offset) <= now) {
-      let sleepTime = (now - (next.value.timeReceived + offset)) / multiplier
-      await new Promise(r => setTimeout(r, Number(sleepTime))); //input is milliseconds
-    }
-    yield next.value
+  finally {
+    //closes the files of a replay that was stopped before it reached their end
+    for (const enumerator of enumerators) await enumerator.return();
   }
 }
 
@@ -254,7 +527,8 @@ function writeCsvQuoteRow(csvWriter, quote){
 }
 
 async function replayToCsv(outputFilePath, config, channels, tradesOnly, apiKey){
-  console.log("Creating file " + outputFilePath);
+  const logger = new IntrinioLogger(config.logger, config.logLevel);
+  logger.info("Intrinio Replay Client - Creating file " + outputFilePath);
   let csvWriter = require('fs').createWriteStream(outputFilePath, {flags: 'a'});
   writeCsvHeaderRow(csvWriter);
   function onTrade(trade){
@@ -268,282 +542,1137 @@ async function replayToCsv(outputFilePath, config, channels, tradesOnly, apiKey)
   await client.join(channels, tradesOnly);
 }
 
-const defaultConfig = {
-  provider: 'IEX', //IEX (same as) REALTIME, or DELAYED_SIP, or NASDAQ_BASIC, or CBOE_ONE, EQUITIES_EDGE, or MANUAL
-  ipAddress: undefined,
-  tradesOnly: false,
-  isPublicKey: false,
-  delayed: false //set to true if you have realtime access and want to force delayed mode. Otherwise, if you only have delayed, you'll get delayed not matter if you set this or not.
-};
+class IntrinioEventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
 
-const defaultReplayConfig = {
-  provider: 'IEX', //IEX (same as) REALTIME, or DELAYED_SIP, or NASDAQ_BASIC, or CBOE_ONE, EQUITIES_EDGE, or MANUAL
-  ipAddress: undefined,
-  tradesOnly: false,
-  isPublicKey: false,
-  replayDate: '2025-01-08',
-  replayAsIfLive: false,
-  replayDeleteFileWhenDone: true
-};
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError("Intrinio Realtime Client - Event listener must be a function");
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
 
-class IntrinioRealtime {
-  constructor(accessKey, onTrade, onQuote, config = {}) {
-    this._accessKey = accessKey;
-    this._config = Object.assign(defaultConfig, config);
-    this._token = null;
-    this._websocket = null;
-    this._isReady = false;
-    this._attemptingReconnect = false;
-    this._lastReset = Date.now();
-    this._msgCount = 0;
-    this._channels = new Map();
-    this._onTrade = (onTrade && (typeof onTrade === "function")) ? onTrade : (_) => {};
-    this._onQuote = (onQuote && (typeof onQuote === "function")) ? onQuote : (_) => {};
-    this._float32Array = new Float32Array(1);
-    this._backingByteArray = new Uint8Array(this._float32Array.buffer);
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
 
-    if ((!this._accessKey) || (this._accessKey === "")) {
-      throw "Intrinio Realtime Client - Access Key is required";
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex(l => (l === listener) || (l.listener === listener));
+      if (index >= 0) listeners.splice(index, 1);
+      if (listeners.length === 0) this._listeners.delete(event);
     }
+    return this;
+  }
 
-    if (!this._config.provider) {
-      throw "Intrinio Realtime Client - 'config.provider' must be specified";
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) this._listeners.clear();
+    else this._listeners.delete(event);
+    return this;
+  }
+
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) return false;
+    for (const listener of listeners.slice()) {
+      listener.apply(this, args);
     }
-    else if ((this._config.provider !== "IEX") && (this._config.provider !== "CBOE_ONE") && (this._config.provider !== "EQUITIES_EDGE") && (this._config.provider !== "REALTIME") && (this._config.provider !== "MANUAL")
-        && (this._config.provider !== "DELAYED_SIP") && (this._config.provider !== "NASDAQ_BASIC")) {
-      throw "Intrinio Realtime Client - 'config.provider' must be either 'IEX' or 'REALTIME' or 'CBOE_ONE' or 'EQUITIES_EDGE' or 'MANUAL' or 'DELAYED_SIP' or 'NASDAQ_BASIC'";
+    return true;
+  }
+}
+
+const STREAM_OVERFLOW_POLICIES = ['block', 'drop-oldest', 'drop-newest'];
+
+//An async iterator over a client's trades and quotes, buffered in a bounded queue. When the queue is full,
+//'block' applies backpressure to the client (pausing the socket, or the replay), 'drop-oldest' discards
+//the oldest queued message and 'drop-newest' discards the incoming one. Dropped messages are counted.
+//'block' never drops, so it is a soft limit: messages the client already received when it paused are still queued.
+class IntrinioMessageStream {
+  constructor(client, options = {}) {
+    this._client = client;
+    this._bufferSize = (options.bufferSize === undefined) ? 10000 : options.bufferSize;
+    this._overflow = options.overflow || 'block';
+    if (!Number.isInteger(this._bufferSize) || (this._bufferSize < 1)) {
+      throw new ConfigError("Intrinio Realtime Client - Stream 'bufferSize' must be a positive integer");
+    }
+    if (!STREAM_OVERFLOW_POLICIES.includes(this._overflow)) {
+      throw new ConfigError("Intrinio Realtime Client - Stream 'overflow' must be one of 'block', 'drop-oldest' or 'drop-newest'");
+    }
+    this._symbols = options.symbols ? new Set([].concat(options.symbols)) : null;
+    this._types = this._getTypes(options.types);
+    this._queue = [];
+    this._head = 0;
+    this._pending = null;
+    this._isBlocking = false;
+    this._isClosed = false;
+    this.dropped = 0;
+    this._onMessage = (message) => this._push(message);
+    client.on("trade", this._onMessage);
+    client.on("quote", this._onMessage);
+  }
+
+  get size() {
+    return this._queue.length - this._head;
+  }
+
+  _getTypes(types) {
+    if (!types) return null;
+    const result = new Set();
+    for (const type of [].concat(types)) {
+      switch (String(type).toLowerCase()) {
+        case 'trade': result.add('Trade'); break;
+        case 'quote': result.add('Ask'); result.add('Bid'); break;
+        case 'ask': result.add('Ask'); break;
+        case 'bid': result.add('Bid'); break;
+        default: throw new ConfigError("Intrinio Realtime Client - Stream 'types' may only contain 'trade', 'quote', 'ask' or 'bid'");
+      }
     }
+    return result;
+  }
 
-    if ((this._config.provider === "MANUAL") && ((!this._config.ipAddress) || (this._config.ipAddress === ""))) {
-      throw "Intrinio Realtime Client - 'config.ipAddress' must be specified for manual configuration";
+  _push(message) {
+    if ((this._symbols !== null) && !this._symbols.has(message.Symbol)) return;
+    if ((this._types !== null) && !this._types.has(message.Type)) return;
+    if (this._pending !== null) {
+      const pending = this._pending;
+      this._pending = null;
+      pending({ value: message, done: false });
+      return;
+    }
+    if (this.size >= this._bufferSize) {
+      switch (this._overflow) {
+        case 'drop-newest':
+          this.dropped++;
+          return;
+        case 'drop-oldest':
+          this._shift();
+          this.dropped++;
+          break;
+        default:
+          if (!this._isBlocking) {
+            this._isBlocking = true;
+            this._client._setBackpressure(this, true);
+          }
+          break;
+      }
     }
+    this._queue.push(message);
+  }
 
-    if(!onTrade) {
-      throw "Intrinio Realtime Client - 'onTrade' callback is required";
+  _shift() {
+    const message = this._queue[this._head];
+    this._queue[this._head++] = undefined;
+    if ((this._head >= 1024) && (this._head * 2 >= this._queue.length)) {
+      this._queue = this._queue.slice(this._head);
+      this._head = 0;
     }
+    return message;
+  }
 
-    if(!onQuote){
-      this._config.tradesOnly = true;
+  next() {
+    if (this.size > 0) {
+      const message = this._shift();
+      if (this._isBlocking && (this.size <= this._bufferSize / 2)) {
+        this._isBlocking = false;
+        this._client._setBackpressure(this, false);
+      }
+      return Promise.resolve({ value: message, done: false });
     }
+    if (this._isClosed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(fulfill => this._pending = fulfill);
+  }
 
-    doBackoff(this, this._trySetToken).then(
-        () => {doBackoff(this, this._resetWebsocket).then(
-            () => {
-              console.log("Intrinio Realtime Client - Startup succeeded");
-              if (!this._config.isPublicKey) {
-                process.on('SIGINT', () => {
-                  console.log("Intrinio Realtime Client - Shutdown detected");
-                  this.stop();
-                  process.kill(process.pid, 'SIGTERM');})
-              }
-            },
-            () => {console.error("Intrinio Realtime Client - Startup failed. Unable to establish websocket connection.");})},
-        () => {console.error("Intrinio Realtime Client - Startup failed. Unable to acquire auth token.");});
+  return() {
+    this.close();
+    return Promise.resolve({ value: undefined, done: true });
   }
 
-  _getAuthUrl() {
-    switch(this._config.provider) {
-      case "REALTIME":
-        if (this._config.isPublicKey) return "https://realtime-mx.intrinio.com/auth";
-        else return "https://realtime-mx.intrinio.com/auth?api_key=" + this._accessKey;
-      case "IEX":
-        if (this._config.isPublicKey) return "https://realtime-mx.intrinio.com/auth";
-        else return "https://realtime-mx.intrinio.com/auth?api_key=" + this._accessKey;
-      case "DELAYED_SIP":
-        if (this._config.isPublicKey) return "https://realtime-delayed-sip.intrinio.com/auth";
-        else return "https://realtime-delayed-sip.intrinio.com/auth?api_key=" + this._accessKey;
-      case "NASDAQ_BASIC":
-        if (this._config.isPublicKey) return "https://realtime-nasdaq-basic.intrinio.com/auth";
-        else return "https://realtime-nasdaq-basic.intrinio.com/auth?api_key=" + this._accessKey;
-      case "CBOE_ONE":
-        if (this._config.isPublicKey) return "https://cboe-one.intrinio.com/auth";
-        else return "https://cboe-one.intrinio.com/auth?api_key=" + this._accessKey;
-      case "EQUITIES_EDGE":
-        if (this._config.isPublicKey) return "https://equities-edge.intrinio.com/auth";
-        else return "https://equities-edge.intrinio.com/auth?api_key=" + this._accessKey;
-      case "MANUAL":
-        if (this._config.isPublicKey) return "http://" + this._config.ipAddress + "/auth";
-        else return "http://" + this._config.ipAddress + "/auth?api_key=" + this._accessKey;
-      default: throw "Intrinio Realtime Client - 'config.provider' not specified!";
+  //Stops listening to the client. Messages already queued are still returned before the stream ends.
+  close() {
+    if (this._isClosed) return;
+    this._isClosed = true;
+    this._client.off("trade", this._onMessage);
+    this._client.off("quote", this._onMessage);
+    if (this._isBlocking) {
+      this._isBlocking = false;
+      this._client._setBackpressure(this, false);
+    }
+    if (this._pending !== null) {
+      const pending = this._pending;
+      this._pending = null;
+      pending({ value: undefined, done: true });
     }
   }
 
-  _getWebSocketUrl() {
-    let delayed_part = this._config.delayed ? "&delayed=true" : "";
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
 
-    switch(this._config.provider) {
-      case "REALTIME": return `wss://realtime-mx.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "IEX": return `wss://realtime-mx.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "DELAYED_SIP": return `wss://realtime-delayed-sip.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "NASDAQ_BASIC": return `wss://realtime-nasdaq-basic.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "CBOE_ONE": return `wss://cboe-one.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "EQUITIES_EDGE": return `wss://equities-edge.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      case "MANUAL": return "ws://" + this._config.ipAddress + `/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
-      default: throw "Intrinio Realtime Client - 'config.provider' not specified!";
-    }
+//The last trade, bid and ask seen for each symbol, kept by a client when config.snapshots is set.
+class IntrinioSnapshotCache {
+  constructor() {
+    this._snapshots = new Map();
   }
 
-  _getMessageType(val){
-    switch(val) {
-      case 0:
-        return 'Trade';
-        break;
-      case 1:
-        return 'Ask';
+  update(message) {
+    let snapshot = this._snapshots.get(message.Symbol);
+    if (!snapshot) {
+      snapshot = { Symbol: message.Symbol, LastTrade: null, Bid: null, Ask: null, TotalVolume: null };
+      this._snapshots.set(message.Symbol, snapshot);
+    }
+    switch(message.Type) {
+      case 'Trade':
+        snapshot.LastTrade = message;
+        snapshot.TotalVolume = message.TotalVolume;
         break;
-      case 2:
-        return 'Bid';
+      case 'Bid':
+        snapshot.Bid = message;
         break;
-      default:
-        return '';
+      case 'Ask':
+        snapshot.Ask = message;
         break;
     }
   }
 
-  _getSubProvider(val){
-    switch(val) {
-      case 0:
-        return 'NONE';
-        break;
-      case 1:
-        return 'CTA_A';
-        break;
-      case 2:
-        return 'CTA_B';
-        break;
-      case 3:
-        return 'UTP';
-        break;
-      case 4:
-        return 'OTC';
-        break;
-      case 5:
-        return 'NASDAQ_BASIC';
-        break;
-      case 6:
-        return 'IEX';
-        break;
-      case 7:
-        return 'CBOE_ONE';
-        break;
-      case 8:
-        return 'EQUITIES_EDGE';
-        break;
-      default:
-        return 'NONE';
-        break;
+  get(symbol) {
+    const snapshot = this._snapshots.get(symbol);
+    return snapshot ? Object.assign({}, snapshot) : null;
+  }
+
+  getAll() {
+    return Array.from(this._snapshots.values(), snapshot => Object.assign({}, snapshot));
+  }
+
+  //Forgets a left channel. Leaving the firehose forgets every symbol that is not still joined on its own.
+  delete(channel, channels) {
+    if (channel === "$lobby") {
+      for (const symbol of this._snapshots.keys()) {
+        if (!channels.has(symbol)) this._snapshots.delete(symbol);
+      }
+    }
+    else if (!channels.has("$lobby")) {
+      this._snapshots.delete(channel);
     }
   }
 
-  _parseTrade(bytes) {
-    let symbolLength = bytes[2];
-    let conditionLength = bytes[26 + symbolLength];
-    let marketCenter = readUnicodeString(bytes, 4 + symbolLength, 6 + symbolLength);
-    let subProvider = this._getSubProvider(bytes[3 + symbolLength]);
-    let isDarkpool = false;
-    switch(subProvider) {
-      case 'CTA_A':
-      case 'CTA_B':
-      case 'UTP':
-      case 'OTC':
-        isDarkpool = (!marketCenter) || marketCenter == "\0" || marketCenter == "D" || marketCenter == "E" || marketCenter.trim().length === 0;
-        break;
-      case 'NASDAQ_BASIC':
-        isDarkpool = (!marketCenter) || marketCenter == "\0" || marketCenter == "L" || marketCenter == "2" || marketCenter.trim().length === 0;
-        break;
-      default:
-        isDarkpool = false;
-        break;
+  clear() {
+    this._snapshots.clear();
+  }
+}
+
+//Compiles a symbol pattern: a RegExp, or a string in which '*' matches any run of characters and '?' any one character.
+function compileSymbolPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    //a global or sticky RegExp remembers its last match, which would make test() alternate
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ""));
+  }
+  if (typeof pattern !== "string") {
+    throw new ConfigError("Intrinio Realtime Client - Symbol patterns must be strings or regular expressions, not '" + typeof pattern + "'");
+  }
+  return new RegExp("^" + pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$");
+}
+
+function isSymbolPattern(symbol) {
+  return (symbol instanceof RegExp) || /[*?]/.test(symbol);
+}
+
+//A client-side filter (config.filter, setFilter()): { symbols, exclude, subProviders, minSize, minNotional }.
+//symbols and exclude take symbols or patterns. Whether a symbol matches is cached, so patterns cost nothing after its
+//first message.
+class IntrinioMessageFilter {
+  constructor(options = {}) {
+    this._include = (options.symbols === undefined) ? null : [].concat(options.symbols).map(compileSymbolPattern);
+    this._exclude = [].concat(options.exclude || []).map(compileSymbolPattern);
+    this._subProviders = options.subProviders ? new Set([].concat(options.subProviders)) : null;
+    this._minSize = options.minSize || 0;
+    this._minNotional = options.minNotional || 0;
+    if ((typeof this._minSize !== "number") || (typeof this._minNotional !== "number")) {
+      throw new ConfigError("Intrinio Realtime Client - Filter 'minSize' and 'minNotional' must be numbers");
+    }
+    this._symbolMatches = new Map();
+  }
+
+  matchesSymbol(symbol) {
+    let isMatch = this._symbolMatches.get(symbol);
+    if (isMatch === undefined) {
+      isMatch = ((this._include === null) || this._include.some(pattern => pattern.test(symbol)))
+        && !this._exclude.some(pattern => pattern.test(symbol));
+      this._symbolMatches.set(symbol, isMatch);
     }
+    return isMatch;
+  }
 
-    return {
-      Type: this._getMessageType(bytes[0]),
-      Symbol: readString(bytes, 3, 3 + symbolLength),
-      Price: readFloat32(bytes, this._float32Array, this._backingByteArray, 6 + symbolLength),
-      Size: readUInt32(bytes, 10 + symbolLength),
-      Timestamp: readUInt64(bytes, 14 + symbolLength),
-      TotalVolume: readUInt32(bytes, 22 + symbolLength),
-      SubProvider: subProvider,
-      MarketCenter: marketCenter,
-      Condition: conditionLength > 0 ? readString(bytes, 27 + symbolLength, 27 + symbolLength + conditionLength) : "",
-      IsDarkpool: isDarkpool
+  matches(message) {
+    return ((this._subProviders === null) || this._subProviders.has(message.SubProvider))
+      && (message.Size >= this._minSize)
+      && ((this._minNotional === 0) || ((message.Price * message.Size) >= this._minNotional))
+      && this.matchesSymbol(message.Symbol);
+  }
+}
+
+const NO_SYMBOL_HANDLERS = Object.freeze({ trade: Object.freeze([]), quote: Object.freeze([]) });
+
+//Handlers registered with onSymbol(). Each symbol's handlers are resolved once and cached until a registration changes.
+class IntrinioSymbolHandlers {
+  constructor() {
+    this._registrations = new Set();
+    this._bySymbol = new Map();
+  }
+
+  //Returns a function that removes the registration
+  add(symbols, handlers) {
+    const isFunction = (typeof handlers === "function");
+    if (!isFunction && ((!handlers) || ((typeof handlers.onTrade !== "function") && (typeof handlers.onQuote !== "function")))) {
+      throw new ConfigError("Intrinio Realtime Client - onSymbol needs a handler function or { onTrade, onQuote }");
+    }
+    const patterns = [].concat(symbols);
+    const registration = {
+      symbols: new Set(patterns.filter(symbol => !isSymbolPattern(symbol))),
+      filter: patterns.some(isSymbolPattern) ? new IntrinioMessageFilter({ symbols: patterns.filter(isSymbolPattern) }) : null,
+      onTrade: isFunction ? handlers : handlers.onTrade,
+      onQuote: isFunction ? handlers : handlers.onQuote
+    };
+    this._registrations.add(registration);
+    this._bySymbol.clear();
+    return () => {
+      this._registrations.delete(registration);
+      this._bySymbol.clear();
+    };
+  }
+
+  get size() {
+    return this._registrations.size;
+  }
+
+  //{ trade: [handler], quote: [handler] } for a symbol
+  get(symbol) {
+    let handlers = this._bySymbol.get(symbol);
+    if (handlers === undefined) {
+      handlers = { trade: [], quote: [] };
+      for (const registration of this._registrations) {
+        if (registration.symbols.has(symbol) || ((registration.filter !== null) && registration.filter.matchesSymbol(symbol))) {
+          if (registration.onTrade) handlers.trade.push(registration.onTrade);
+          if (registration.onQuote) handlers.quote.push(registration.onQuote);
+        }
+      }
+      if ((handlers.trade.length === 0) && (handlers.quote.length === 0)) handlers = NO_SYMBOL_HANDLERS;
+      this._bySymbol.set(symbol, handlers);
+    }
+    return handlers;
+  }
+}
+
+//The channel a server message names, as the client knows it ("$FIREHOSE" is "$lobby")
+function toChannelName(name) {
+  const channel = String(name).split(":").pop();
+  return ((channel === "$FIREHOSE") || (channel === "lobby")) ? "$lobby" : channel;
+}
+
+//Turns a text (non-binary) message from the server into { type, symbol, message, text, data }. Only the socket's
+//Phoenix channel replies are understood; type is "ack" or "error" for those and "info", which acknowledges nothing,
+//for anything else:
+//  {"topic": "<channel>", "event": "phx_reply", "payload": {"status": "ok" | "error", "response": {"reason": "..."}}}
+//  {"topic": "<channel>", "event": "phx_error", "payload": {...}}
+function parseServerMessage(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  }
+  catch (error) {
+    data = null;
+  }
+  if ((data === null) || (typeof data !== "object")) data = null;
+  const isChannelMessage = (data !== null) && (typeof data.topic === "string") && (data.topic.length > 0);
+  const payload = (isChannelMessage && data.payload && (typeof data.payload === "object")) ? data.payload : {};
+  const response = (payload.response && (typeof payload.response === "object")) ? payload.response : {};
+  let type = "info";
+  if (isChannelMessage && (data.event === "phx_reply") && (payload.status === "ok")) type = "ack";
+  else if (isChannelMessage && (data.event === "phx_reply") && (payload.status === "error")) type = "error";
+  else if (isChannelMessage && (data.event === "phx_error")) type = "error";
+  return {
+    type: type,
+    symbol: (type === "info") ? null : toChannelName(data.topic),
+    message: String(response.reason || payload.reason || text),
+    text: text,
+    data: data
+  };
+}
+
+//Counters and gauges for a client, reported by metrics() and prometheusMetrics().
+class IntrinioMetrics {
+  constructor() {
+    this.frames = 0;
+    this.bytesReceived = 0;
+    this.trades = {};
+    this.quotes = {};
+    this.reconnects = 0;
+    this.authFailures = 0;
+    this.parseErrors = 0;
+    this._lastLatencyMs = null;
+    this._averageLatencyMs = null;
+    this._maxLatencyMs = null;
+  }
+
+  //Counts a trade or quote, and its latency: receive time (ns since the unix epoch) minus the message's Timestamp.
+  recordMessage(message, timeReceived) {
+    const counts = (message.Type === 'Trade') ? this.trades : this.quotes;
+    counts[message.SubProvider] = (counts[message.SubProvider] || 0) + 1;
+    this._recordLatency(Number(timeReceived - BigInt(message.Timestamp)) / 1000000);
+  }
+
+  //Counts the messages of a columnar batch (config.onBatch). Latency is taken from the batch's last message.
+  recordBatch(batch, timeReceived) {
+    for (let i = 0; i < batch.length; i++) {
+      const counts = (batch.type[i] === 0) ? this.trades : this.quotes;
+      const subProvider = getSubProvider(batch.subProvider[i]);
+      counts[subProvider] = (counts[subProvider] || 0) + 1;
+    }
+    if (batch.length > 0) {
+      this._recordLatency(Number(timeReceived - batch.timestamp[batch.length - 1]) / 1000000);
     }
   }
 
-  _parseQuote (bytes) {
-    let symbolLength = bytes[2];
-    let conditionLength = bytes[22 + symbolLength];
-    let marketCenter = readUnicodeString(bytes, 4 + symbolLength, 6 + symbolLength);
+  _recordLatency(latencyMs) {
+    this._lastLatencyMs = latencyMs;
+    //exponential moving average, weighted toward roughly the last thousand messages
+    this._averageLatencyMs = (this._averageLatencyMs === null) ? latencyMs : this._averageLatencyMs + ((latencyMs - this._averageLatencyMs) / 1000);
+    if ((this._maxLatencyMs === null) || (latencyMs > this._maxLatencyMs)) this._maxLatencyMs = latencyMs;
+  }
+
+  snapshot(subscribedChannels) {
+    const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
     return {
-      Type: this._getMessageType(bytes[0]),
-      Symbol: readString(bytes, 3, 3 + symbolLength),
-      Price: readFloat32(bytes, this._float32Array, this._backingByteArray, 6 + symbolLength),
-      Size: readUInt32(bytes, 10 + symbolLength),
-      Timestamp: readUInt64(bytes, 14 + symbolLength),
-      SubProvider: this._getSubProvider(bytes[3 + symbolLength]),
-      MarketCenter: marketCenter,
-      Condition: conditionLength > 0 ? readString(bytes, 23 + symbolLength, 23 + symbolLength + conditionLength) : ""
+      frames: this.frames,
+      bytesReceived: this.bytesReceived,
+      trades: sum(this.trades),
+      tradesBySubProvider: Object.assign({}, this.trades),
+      quotes: sum(this.quotes),
+      quotesBySubProvider: Object.assign({}, this.quotes),
+      reconnects: this.reconnects,
+      authFailures: this.authFailures,
+      parseErrors: this.parseErrors,
+      subscribedChannels: subscribedChannels,
+      feedLatencyMs: { last: this._lastLatencyMs, average: this._averageLatencyMs, max: this._maxLatencyMs }
+    };
+  }
+}
+
+function formatPrometheusLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return "{" + entries.map(([name, value]) => name + "=\"" + String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"").join(",") + "}";
+}
+
+//Formats a metrics() snapshot in the Prometheus text exposition format. options: { prefix, labels }
+function formatPrometheusMetrics(snapshot, options = {}) {
+  const prefix = (options.prefix === undefined) ? "intrinio_realtime_" : options.prefix;
+  const labels = options.labels || {};
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push("# HELP " + prefix + name + " " + help);
+    lines.push("# TYPE " + prefix + name + " " + type);
+    for (const [sampleLabels, value] of samples) {
+      if ((value === null) || (value === undefined)) continue;
+      lines.push(prefix + name + formatPrometheusLabels(Object.assign({}, labels, sampleLabels)) + " " + value);
+    }
+  };
+  const bySubProvider = (counts) => Object.entries(counts).map(([subProvider, count]) => [{ subprovider: subProvider }, count]);
+  metric("frames_total", "counter", "Binary frames received.", [[{}, snapshot.frames]]);
+  metric("bytes_received_total", "counter", "Bytes received.", [[{}, snapshot.bytesReceived]]);
+  metric("trades_total", "counter", "Trades received, by subprovider.", bySubProvider(snapshot.tradesBySubProvider));
+  metric("quotes_total", "counter", "Quotes received, by subprovider.", bySubProvider(snapshot.quotesBySubProvider));
+  metric("reconnects_total", "counter", "Reconnects started after the connection dropped.", [[{}, snapshot.reconnects]]);
+  metric("auth_failures_total", "counter", "Auth requests refused by the server.", [[{}, snapshot.authFailures]]);
+  metric("parse_errors_total", "counter", "Messages that could not be parsed.", [[{}, snapshot.parseErrors]]);
+  metric("subscribed_channels", "gauge", "Channels currently joined.", [[{}, snapshot.subscribedChannels]]);
+  const seconds = (ms) => (ms === null) ? null : ms / 1000;
+  metric("feed_latency_seconds", "gauge", "Receive time minus message timestamp.", [
+    [{ stat: "last" }, seconds(snapshot.feedLatencyMs.last)],
+    [{ stat: "average" }, seconds(snapshot.feedLatencyMs.average)],
+    [{ stat: "max" }, seconds(snapshot.feedLatencyMs.max)]
+  ]);
+  return lines.join("\n") + "\n";
+}
+
+//The body of a decode worker. Receives batches of frames and posts back their entries, with ParseErrors flattened
+//so they survive the structured clone.
+function runDecodeWorker(parentPort) {
+  parentPort.on("message", (batch) => {
+    const results = batch.frames.map(frame => decodeFrameEntries(new Uint8Array(frame)).map(entry =>
+      (entry instanceof ParseError) ? { parseError: entry.message, offset: entry.offset } : entry));
+    parentPort.postMessage({ id: batch.id, results: results });
+  });
+}
+
+//Frames waiting to be decoded or delivered before the pool asks the client to pause the socket
+const DECODE_POOL_MAX_PENDING_FRAMES = 10000;
+
+//Decodes a realtime client's frames on worker threads (config.decodeWorkers, NodeJS only). Frames received in the same
+//turn of the event loop are sent to the next worker as one batch, and the results are handed back to the client in the
+//order the frames arrived, so every symbol's messages keep their order.
+class IntrinioDecodePool {
+  constructor(client, size) {
+    this._client = client;
+    this._workers = [];
+    for (let i = 0; i < size; i++) {
+      this._workers.push(this._spawnWorker());
+    }
+    this._nextWorker = 0;
+    this._nextBatchId = 0;
+    this._nextDeliveryId = 0;
+    this._frames = [];
+    this._times = [];
+    this._isFlushScheduled = false;
+    this._batches = new Map(); //id -> { times, results }
+    this._pendingFrames = 0;
+    this._isBlocking = false;
+    this._drainWaiters = [];
+  }
+
+  _spawnWorker() {
+    const { Worker } = require('worker_threads');
+    const worker = new Worker(__filename, { workerData: { intrinioDecodeWorker: true } });
+    worker.on("message", (batch) => this._onBatchDecoded(batch));
+    worker.on("error", (error) => this._client._onDecodeWorkerError(error));
+    worker.on("exit", (code) => this._onWorkerExit(worker, code));
+    worker.unref();
+    return worker;
+  }
+
+  //The frames of a batch are transferred to its worker, so the batches a dead worker never finished can't be sent
+  //again. They are delivered as parse errors, which keeps the delivery order moving, and a new worker takes its place.
+  _onWorkerExit(worker, code) {
+    const index = this._workers.indexOf(worker);
+    if (index === -1) return; //terminated by terminate()
+    this._workers[index] = this._spawnWorker();
+    const lostIds = [];
+    for (const [id, batch] of this._batches) {
+      if ((batch.worker === worker) && (batch.results === null)) lostIds.push(id);
+    }
+    const parseError = { parseError: "Intrinio Realtime Client - Decode worker exited (code: " + code + ")", offset: 0 };
+    for (const id of lostIds) {
+      this._onBatchDecoded({ id: id, results: this._batches.get(id).times.map(() => [parseError]) });
     }
   }
 
-  _parseSocketMessage(data) {
-    let bytes = new Uint8Array(data);
-    let msgCount = bytes[0];
-    let startIndex = 1;
-    for (let i = 0; i < msgCount; i++) {
-      let msgType = bytes[startIndex]
-      let msgLength = bytes[startIndex + 1]
-      let endIndex = startIndex + msgLength
-      let chunk = bytes.slice(startIndex, endIndex)
-      switch(msgType) {
-        case 0:
-          let trade = this._parseTrade(chunk)
-          this._onTrade(trade)
-          break;
-        case 1:
-        case 2:
-          let quote = this._parseQuote(chunk)
-          this._onQuote(quote)
-          break;
-        default: console.warn("Intrinio Realtime Client - Invalid message type: %i", msgType)
+  push(data, timeReceived) {
+    this._frames.push(data);
+    this._times.push(timeReceived);
+    this._pendingFrames++;
+    if (!this._isBlocking && (this._pendingFrames >= DECODE_POOL_MAX_PENDING_FRAMES)) {
+      this._isBlocking = true;
+      this._client._setBackpressure(this, true);
+    }
+    if (!this._isFlushScheduled) {
+      this._isFlushScheduled = true;
+      setImmediate(() => this._flush());
+    }
+  }
+
+  _flush() {
+    this._isFlushScheduled = false;
+    if (this._frames.length === 0) return;
+    const id = this._nextBatchId++;
+    const frames = this._frames;
+    const worker = this._workers[this._nextWorker];
+    this._nextWorker = (this._nextWorker + 1) % this._workers.length;
+    this._batches.set(id, { worker: worker, times: this._times, results: null });
+    this._frames = [];
+    this._times = [];
+    worker.postMessage({ id: id, frames: frames }, frames.filter(frame => frame instanceof ArrayBuffer));
+  }
+
+  _onBatchDecoded(decoded) {
+    const decodedBatch = this._batches.get(decoded.id);
+    if (!decodedBatch || (decodedBatch.results !== null)) return;
+    decodedBatch.results = decoded.results;
+    let batch = this._batches.get(this._nextDeliveryId);
+    while (batch && (batch.results !== null)) {
+      this._batches.delete(this._nextDeliveryId);
+      this._nextDeliveryId++;
+      for (let i = 0; i < batch.results.length; i++) {
+        const entries = batch.results[i].map(entry =>
+          (entry && (entry.parseError !== undefined)) ? new ParseError(entry.parseError, entry.offset) : entry);
+        this._pendingFrames--;
+        this._client._onFrameEntries(entries, batch.times[i]);
       }
-      startIndex = endIndex
+      batch = this._batches.get(this._nextDeliveryId);
+    }
+    if (this._isBlocking && (this._pendingFrames <= DECODE_POOL_MAX_PENDING_FRAMES / 2)) {
+      this._isBlocking = false;
+      this._client._setBackpressure(this, false);
+    }
+    if (this._pendingFrames === 0) {
+      const waiters = this._drainWaiters;
+      this._drainWaiters = [];
+      for (const waiter of waiters) waiter();
     }
   }
 
-  _trySetToken() {
-    if (this._config.isPublicKey)
-      return new Promise((fulfill, reject) => {
-        try {
-          console.log("Intrinio Realtime Client - Authorizing (public key)...");
-          const url = this._getAuthUrl();
-          const xhr = new XMLHttpRequest();
-          //TODO - add header
-          xhr.onerror = (error) => {
-            console.error("Intrinio Realtime Client - Error getting public key auth token: ", error);
-            reject();
-          };
-          xhr.ontimeout = () => {
-            console.error("Intrinio Realtime Client - Timed out trying to get auth token.");
-            reject();
-          };
-          xhr.onabort = () => {
-            console.error("Intrinio Realtime Client - Aborted attempt to get auth token.");
-            reject();
-          };
+  //Resolves once every frame pushed so far has been delivered
+  drain() {
+    if (this._pendingFrames === 0) return Promise.resolve();
+    return new Promise(fulfill => this._drainWaiters.push(fulfill));
+  }
+
+  terminate() {
+    const workers = this._workers;
+    this._workers = [];
+    return Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+//Symbols seen by a client in batch mode (config.onBatch), numbered in the order they were first seen. Batches refer
+//to symbols by their index here, and an index never changes for the life of the client.
+class IntrinioSymbolDictionary {
+  constructor() {
+    this.symbols = [];
+    this._indexes = new Map();
+  }
+
+  indexOf(symbol) {
+    let index = this._indexes.get(symbol);
+    if (index === undefined) {
+      index = this.symbols.length;
+      this.symbols.push(symbol);
+      this._indexes.set(symbol, index);
+    }
+    return index;
+  }
+
+  symbolAt(index) {
+    return this.symbols[index];
+  }
+
+  get size() {
+    return this.symbols.length;
+  }
+}
+
+const COLUMNAR_BATCH_INITIAL_CAPACITY = 256;
+const batchFloat32Array = new Float32Array(1);
+const batchBackingByteArray = new Uint8Array(batchFloat32Array.buffer);
+
+//Decodes trades and quotes straight from frames into columns (config.onBatch), without building a message object or
+//a BigInt per message. build() hands the columns over as a batch and starts a new one.
+class IntrinioColumnarBatchBuilder {
+  constructor(dictionary) {
+    this._dictionary = dictionary;
+    this._timestampWords = null;
+    this.length = 0;
+    this._allocate(COLUMNAR_BATCH_INITIAL_CAPACITY);
+  }
+
+  _allocate(capacity) {
+    const previous = this._columns;
+    this._columns = {
+      symbolIndex: new Uint32Array(capacity),
+      type: new Uint8Array(capacity),
+      subProvider: new Uint8Array(capacity),
+      price: new Float64Array(capacity),
+      size: new Uint32Array(capacity),
+      timestamp: new BigUint64Array(capacity),
+      totalVolume: new Uint32Array(capacity)
+    };
+    if (previous) {
+      for (const name of Object.keys(previous)) this._columns[name].set(previous[name].subarray(0, this.length));
+    }
+    //the timestamps are copied in as two little endian 32 bit words
+    this._timestampWords = new Uint32Array(this._columns.timestamp.buffer);
+    this._capacity = capacity;
+  }
+
+  //Adds the message at 'startIndex', which must be a complete trade or quote. Returns its symbol.
+  add(bytes, startIndex) {
+    const type = bytes[startIndex];
+    const minLength = (type === 0) ? 27 : 23;
+    checkMessageLength(bytes, startIndex, minLength);
+    const symbolLength = bytes[startIndex + 2];
+    checkMessageLength(bytes, startIndex, minLength + symbolLength);
+    const symbolEnd = startIndex + 3 + symbolLength;
+    const symbol = readString(bytes, startIndex + 3, symbolEnd);
+    if (this.length === this._capacity) this._allocate(this._capacity * 2);
+    const i = this.length++;
+    const columns = this._columns;
+    columns.symbolIndex[i] = this._dictionary.indexOf(symbol);
+    columns.type[i] = type;
+    columns.subProvider[i] = bytes[symbolEnd];
+    batchBackingByteArray.set(bytes.subarray(symbolEnd + 3, symbolEnd + 7));
+    const price = Math.round(batchFloat32Array[0] * 10000) / 10000;
+    columns.price[i] = price < 0 ? 0 : price;
+    columns.size[i] = readUInt32(bytes, symbolEnd + 7);
+    this._timestampWords[i * 2] = readUInt32(bytes, symbolEnd + 11);
+    this._timestampWords[(i * 2) + 1] = readUInt32(bytes, symbolEnd + 15);
+    columns.totalVolume[i] = (type === 0) ? readUInt32(bytes, symbolEnd + 19) : 0;
+    return symbol;
+  }
+
+  //Returns the messages added since the last build() as { length, symbols, symbolIndex, type, subProvider, price, size,
+  //timestamp, totalVolume }. 'symbols' is the client's dictionary (symbolIndex -> symbol).
+  build() {
+    const length = this.length;
+    const columns = this._columns;
+    this.length = 0;
+    return {
+      length: length,
+      symbols: this._dictionary.symbols,
+      symbolIndex: columns.symbolIndex.slice(0, length),
+      type: columns.type.slice(0, length),
+      subProvider: columns.subProvider.slice(0, length),
+      price: columns.price.slice(0, length),
+      size: columns.size.slice(0, length),
+      timestamp: columns.timestamp.slice(0, length),
+      totalVolume: columns.totalVolume.slice(0, length)
+    };
+  }
+}
+
+//Adds every trade and quote in a frame to a batch builder. Malformed messages and unknown message types are passed to
+//onEntryError as a ParseError or the type code, like decodeFrameEntries. 'accept(symbol, type)' may drop a message
+//after it was added (the replay client filters by channel), which removes it again.
+function addFrameToBatch(bytes, builder, onEntryError, accept) {
+  forEachFrameMessage(bytes, (bytes, startIndex, msgType) => {
+    if (msgType > 2) {
+      onEntryError(msgType);
+      return;
+    }
+    try {
+      const symbol = builder.add(bytes, startIndex);
+      if (accept && !accept(symbol, msgType)) builder.length--;
+    }
+    catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      onEntryError(error);
+    }
+  }, onEntryError);
+}
+
+const defaultConfig = {
+  provider: 'IEX', //IEX (same as) REALTIME, or DELAYED_SIP, or NASDAQ_BASIC, or CBOE_ONE, EQUITIES_EDGE, or MANUAL
+  ipAddress: undefined,
+  tradesOnly: false,
+  isPublicKey: false,
+  delayed: false, //set to true if you have realtime access and want to force delayed mode. Otherwise, if you only have delayed, you'll get delayed not matter if you set this or not.
+  autoConnect: true, //set to false to defer connecting until connect() is called
+  maxConnectAttempts: Infinity, //number of auth/websocket attempts connect() makes before rejecting
+  maxReconnectAttempts: Infinity, //number of attempts to re-establish a dropped connection before giving up (state 'closed')
+  reconnectBackoffsMs: SELF_HEAL_BACKOFFS, //delays between connection attempts, in ms. The last one is repeated.
+  reconnectJitter: 0.2, //randomly varies each delay by up to this fraction, so many clients don't reconnect in lockstep
+  logger: undefined, //console (default), or a pino/winston style object with debug, info, warn and error methods
+  logLevel: 'info', //debug, info, warn, error, or silent
+  record: undefined, //a tick file path, or { path, maxBytes, rotateDaily }, to record every received message (NodeJS only)
+  decodeConditions: false, //set to true to add the decoded Condition (codes and flags) to every trade and quote as Conditions
+  snapshots: false, //set to true to keep the last trade, bid and ask per symbol for getSnapshot() and getAllSnapshots()
+  staleTimeoutMs: 0, //if set, a connection that receives nothing for this long during marketHours is treated as dead and reconnected
+  heartbeatIntervalMs: 0, //if set, the websocket is pinged this often and reconnected if a pong hasn't arrived by the next ping (NodeJS only)
+  marketHours: { open: "09:30", close: "16:00" }, //US/Eastern weekday hours that staleTimeoutMs applies to, or null to always apply it
+  decodeWorkers: 0, //set to a number of worker threads to decode frames off the main thread, e.g. for $lobby on a SIP provider (NodeJS only)
+  onBatch: undefined, //a function to receive trades and quotes as columnar batches instead of one object per message
+  batchWindowMs: 0, //with onBatch, collect messages for this long per batch. 0 delivers each frame as a batch.
+  filter: undefined, //{ symbols, exclude, subProviders, minSize, minNotional } to only deliver some of the received trades and quotes
+  joinAckTimeoutMs: 0, //if set, join() waits up to this long for the server to accept or reject each symbol
+  handleSigint: false //set to true to stop the client on SIGINT. The process is ended once every such client has stopped.
+};
+
+const defaultReplayConfig = {
+  provider: 'IEX', //IEX (same as) REALTIME, or DELAYED_SIP, or NASDAQ_BASIC, or CBOE_ONE, EQUITIES_EDGE, or MANUAL
+  ipAddress: undefined,
+  tradesOnly: false,
+  isPublicKey: false,
+  replayDate: '2025-01-08',
+  replayAsIfLive: false,
+  replaySpeed: undefined, //paces the replay like replayAsIfLive, but this many times faster (e.g. 10) or slower (e.g. 0.5)
+  replayDeleteFileWhenDone: true,
+  replayStartDate: undefined, //with replayEndDate, replays every weekday in the range (inclusive) as one stream instead of replayDate
+  replayEndDate: undefined,
+  replayFiles: undefined, //a local tick file or directory path, or an array of them, to replay instead of downloading replayDate
+  logger: undefined, //console (default), or a pino/winston style object with debug, info, warn and error methods
+  logLevel: 'info', //debug, info, warn, error, or silent
+  decodeConditions: false, //set to true to add the decoded Condition (codes and flags) to every trade and quote as Conditions
+  snapshots: false, //set to true to keep the last trade, bid and ask per symbol for getSnapshot() and getAllSnapshots()
+  onBatch: undefined, //a function to receive trades and quotes as columnar batches instead of one object per message
+  batchWindowMs: 0, //with onBatch, collect the ticks received within this long of each other per batch. 0 delivers each tick as a batch.
+  filter: undefined //{ symbols, exclude, subProviders, minSize, minNotional } to only deliver some of the replayed trades and quotes
+};
+
+//What the realtime and replay clients share: delivering decoded frames to the callbacks, events and per-symbol
+//handlers, after conditions, metrics, snapshots and the client-side filter.
+class IntrinioClientBase extends IntrinioEventEmitter {
+  constructor(logPrefix) {
+    super();
+    this._logPrefix = logPrefix;
+  }
+
+  //Delivers a decoded frame (see decodeFrameEntries), whether it was decoded here or by a decode worker.
+  _onFrameEntries(entries, timeReceived) {
+    for (const entry of entries) {
+      this._onFrameEntry(entry, timeReceived);
+    }
+  }
+
+  _onFrameEntry(entry, timeReceived) {
+    if (entry instanceof ParseError) {
+      this._onParseError(entry);
+    }
+    else if (typeof entry === "number") {
+      this._logger.warn(this._logPrefix + "Invalid message type: %i", entry);
+    }
+    else {
+      return this._onMessage(entry, timeReceived);
+    }
+  }
+
+  //The realtime server only sends the channels joined. The replay client reads whole files, so it checks each message.
+  _isSubscribed(symbol, isTrade) {
+    return true;
+  }
+
+  _onMessage(message, timeReceived) {
+    const isTrade = (message.Type === 'Trade');
+    if (!this._isSubscribed(message.Symbol, isTrade)) return;
+    if (this._config.decodeConditions) message.Conditions = decodeConditions(message);
+    this._metrics.recordMessage(message, timeReceived);
+    if (this._snapshots !== null) this._snapshots.update(message);
+    if ((this._filter !== null) && !this._filter.matches(message)) return;
+    const handlers = this._symbolHandlers.get(message.Symbol);
+    if (isTrade) return this._deliver(message, this._onTrade, "trade", handlers.trade);
+    return this._deliver(message, this._onQuote, "quote", handlers.quote);
+  }
+
+  _deliver(message, callback, event, handlers) {
+    callback(message);
+    this.emit(event, message);
+    for (const handler of handlers) handler(message);
+  }
+
+  _onParseError(error) {
+    this._metrics.parseErrors++;
+    this._logger.error(this._logPrefix + "Unable to parse message (%s)", error.message);
+    this.emit("error", error);
+  }
+}
+
+class IntrinioRealtime extends IntrinioClientBase {
+  constructor(accessKey, onTrade, onQuote, config = {}) {
+    super("Intrinio Realtime Client - ");
+    this._accessKey = accessKey;
+    this._config = Object.assign({}, defaultConfig, config);
+    this._logger = new IntrinioLogger(this._config.logger, this._config.logLevel);
+    this._token = null;
+    this._websocket = null;
+    this._tokenTime = 0;
+    this._state = "idle";
+    this._isReady = false;
+    this._reconnectPromise = null;
+    this._hasConnected = false;
+    this._isStopping = false;
+    this._connectPromise = null;
+    this._readyWaiters = [];
+    this._sigintHandler = null;
+    this._backpressure = new Set();
+    this._lastMessageTime = 0;
+    this._watchdogTimer = null;
+    this._heartbeatTimer = null;
+    this._awaitingPong = false;
+    this._msgCount = 0;
+    this._metrics = new IntrinioMetrics();
+    this._channels = new Map(); //desired subscriptions: channel -> tradesOnly
+    this._serverChannels = new Map(); //subscriptions sent on the current websocket
+    this._snapshots = this._config.snapshots ? new IntrinioSnapshotCache() : null;
+    this._filter = this._config.filter ? new IntrinioMessageFilter(this._config.filter) : null;
+    this._symbolHandlers = new IntrinioSymbolHandlers();
+    this._onBatch = (typeof this._config.onBatch === "function") ? this._config.onBatch : null;
+    this._batchBuilder = (this._onBatch !== null) ? new IntrinioColumnarBatchBuilder(new IntrinioSymbolDictionary()) : null;
+    this._lastBatchTime = 0n;
+    this._onBatchEntryError = (entry) => this._onFrameEntries([entry], this._lastBatchTime);
+    this._decodePool = null;
+    this._batchTimer = null;
+    this._pendingJoins = new Map();
+    this._onTrade = (onTrade && (typeof onTrade === "function")) ? onTrade : (_) => {};
+    this._onQuote = (onQuote && (typeof onQuote === "function")) ? onQuote : (_) => {};
+
+    if ((!this._accessKey) || (this._accessKey === "")) {
+      throw new ConfigError("Intrinio Realtime Client - Access Key is required");
+    }
+
+    if (!this._config.provider) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.provider' must be specified");
+    }
+    else if ((this._config.provider !== "IEX") && (this._config.provider !== "CBOE_ONE") && (this._config.provider !== "EQUITIES_EDGE") && (this._config.provider !== "REALTIME") && (this._config.provider !== "MANUAL")
+        && (this._config.provider !== "DELAYED_SIP") && (this._config.provider !== "NASDAQ_BASIC")) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.provider' must be either 'IEX' or 'REALTIME' or 'CBOE_ONE' or 'EQUITIES_EDGE' or 'MANUAL' or 'DELAYED_SIP' or 'NASDAQ_BASIC'");
+    }
+
+    if ((this._config.provider === "MANUAL") && ((!this._config.ipAddress) || (this._config.ipAddress === ""))) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.ipAddress' must be specified for manual configuration");
+    }
+
+    if ((this._config.decodeWorkers > 0) && this._config.isPublicKey) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.decodeWorkers' is only available on NodeJS");
+    }
+
+    if ((this._config.decodeWorkers > 0) && (this._onBatch !== null)) {
+      throw new ConfigError("Intrinio Realtime Client - 'config.decodeWorkers' and 'config.onBatch' cannot be used together");
+    }
+
+    if(onTrade && !onQuote){
+      this._config.tradesOnly = true;
+    }
+
+    this._recorder = null;
+    if (this._config.record) {
+      const record = (typeof this._config.record === "string") ? { path: this._config.record } : this._config.record;
+      this.startRecording(record.path, record);
+    }
+
+    if (this._config.autoConnect !== false) {
+      this.connect().catch(() => {});
+    }
+  }
+
+  //idle, authenticating, connecting, open, reconnecting or closed
+  get state() {
+    return this._state;
+  }
+
+  _setState(state) {
+    const previousState = this._state;
+    if (state === previousState) return;
+    this._state = state;
+    this._logger.debug("Intrinio Realtime Client - State: %s -> %s", previousState, state);
+    this.emit("stateChange", state, previousState);
+  }
+
+  _getBackoffOptions(maxAttempts) {
+    return {
+      maxAttempts: maxAttempts,
+      backoffs: this._config.reconnectBackoffsMs,
+      jitter: this._config.reconnectJitter,
+      isCancelled: () => this._isStopping,
+      onFailure: (error) => {
+        if (!this._isStopping) this.emit("connectFailed", error);
+      }
+    };
+  }
+
+  async _startup() {
+    if ((this._config.decodeWorkers > 0) && (this._decodePool === null)) {
+      this._decodePool = new IntrinioDecodePool(this, this._config.decodeWorkers);
+    }
+    if (this._config.handleSigint && !this._config.isPublicKey && (this._sigintHandler === null)) {
+      this._sigintHandler = () => {
+        this._logger.info("Intrinio Realtime Client - Shutdown detected");
+        this.stop().finally(() => {
+          if (process.listenerCount('SIGINT') === 0) process.kill(process.pid, 'SIGTERM');
+        });
+      };
+      process.on('SIGINT', this._sigintHandler);
+    }
+    const backoffOptions = this._getBackoffOptions(this._config.maxConnectAttempts);
+    this._setState("authenticating");
+    try {
+      await doBackoff(this, this._trySetToken, backoffOptions);
+    }
+    catch (error) {
+      this._logger.error("Intrinio Realtime Client - Startup failed. Unable to acquire auth token.");
+      throw error || new AuthError("Intrinio Realtime Client - Startup failed. Unable to acquire auth token.");
+    }
+    this._throwIfStopping();
+    this._setState("connecting");
+    try {
+      await doBackoff(this, this._resetWebsocket, backoffOptions);
+    }
+    catch (error) {
+      this._logger.error("Intrinio Realtime Client - Startup failed. Unable to establish websocket connection.");
+      throw error || new ConnectionError("Intrinio Realtime Client - Startup failed. Unable to establish websocket connection.");
+    }
+    this._logger.info("Intrinio Realtime Client - Startup succeeded");
+  }
+
+  //stop() may be called while startup or a reconnect is still awaiting auth or a connection attempt
+  _throwIfStopping() {
+    if (this._isStopping) {
+      throw new ConnectionError("Intrinio Realtime Client - Connection cancelled, the client is stopping");
+    }
+  }
+
+  connect() {
+    this._isStopping = false;
+    if (!this._connectPromise) {
+      const connectPromise = this._startup().catch((error) => {
+        if (this._connectPromise === connectPromise) this._connectPromise = null;
+        if (!this._isStopping) this._setState("idle");
+        this._settleReadyWaiters(error);
+        throw error;
+      });
+      this._connectPromise = connectPromise;
+    }
+    return this._connectPromise;
+  }
+
+  //Waits for the next open. Only starts a connection if the client was never stopped; after stop(), call connect().
+  ready() {
+    if (this._isReady) {
+      return Promise.resolve();
+    }
+    if (this._isStopping) {
+      return Promise.reject(new ConnectionError("Intrinio Realtime Client - The client was stopped. Call connect() to reconnect."));
+    }
+    if (!this._connectPromise && this._config.autoConnect !== false) {
+      return this.connect();
+    }
+    return new Promise((fulfill, reject) => this._readyWaiters.push({fulfill, reject}));
+  }
+
+  _settleReadyWaiters(error) {
+    const waiters = this._readyWaiters;
+    this._readyWaiters = [];
+    for (const waiter of waiters) {
+      if (error) waiter.reject(error);
+      else waiter.fulfill();
+    }
+  }
+
+  _getAuthUrl() {
+    switch(this._config.provider) {
+      case "REALTIME":
+        if (this._config.isPublicKey) return "https://realtime-mx.intrinio.com/auth";
+        else return "https://realtime-mx.intrinio.com/auth?api_key=" + this._accessKey;
+      case "IEX":
+        if (this._config.isPublicKey) return "https://realtime-mx.intrinio.com/auth";
+        else return "https://realtime-mx.intrinio.com/auth?api_key=" + this._accessKey;
+      case "DELAYED_SIP":
+        if (this._config.isPublicKey) return "https://realtime-delayed-sip.intrinio.com/auth";
+        else return "https://realtime-delayed-sip.intrinio.com/auth?api_key=" + this._accessKey;
+      case "NASDAQ_BASIC":
+        if (this._config.isPublicKey) return "https://realtime-nasdaq-basic.intrinio.com/auth";
+        else return "https://realtime-nasdaq-basic.intrinio.com/auth?api_key=" + this._accessKey;
+      case "CBOE_ONE":
+        if (this._config.isPublicKey) return "https://cboe-one.intrinio.com/auth";
+        else return "https://cboe-one.intrinio.com/auth?api_key=" + this._accessKey;
+      case "EQUITIES_EDGE":
+        if (this._config.isPublicKey) return "https://equities-edge.intrinio.com/auth";
+        else return "https://equities-edge.intrinio.com/auth?api_key=" + this._accessKey;
+      case "MANUAL":
+        if (this._config.isPublicKey) return "http://" + this._config.ipAddress + "/auth";
+        else return "http://" + this._config.ipAddress + "/auth?api_key=" + this._accessKey;
+      default: throw new ConfigError("Intrinio Realtime Client - 'config.provider' not specified!");
+    }
+  }
+
+  _getWebSocketUrl() {
+    let delayed_part = this._config.delayed ? "&delayed=true" : "";
+
+    switch(this._config.provider) {
+      case "REALTIME": return `wss://realtime-mx.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "IEX": return `wss://realtime-mx.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "DELAYED_SIP": return `wss://realtime-delayed-sip.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "NASDAQ_BASIC": return `wss://realtime-nasdaq-basic.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "CBOE_ONE": return `wss://cboe-one.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "EQUITIES_EDGE": return `wss://equities-edge.intrinio.com/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      case "MANUAL": return "ws://" + this._config.ipAddress + `/socket/websocket?vsn=1.0.0&token=${this._token}&${CLIENT_INFO_HEADER_KEY}=${CLIENT_INFO_HEADER_VALUE}&${MESSAGE_VERSION_HEADER_KEY}=${MESSAGE_VERSION_HEADER_VALUE}${delayed_part}`;
+      default: throw new ConfigError("Intrinio Realtime Client - 'config.provider' not specified!");
+    }
+  }
+
+  _parseSocketMessage(data) {
+    const timeReceived = BigInt(Date.now()) * 1000000n;
+    this._metrics.frames++;
+    if (this._batchBuilder !== null) {
+      this._lastBatchTime = timeReceived;
+      addFrameToBatch(new Uint8Array(data), this._batchBuilder, this._onBatchEntryError);
+      if (!(this._config.batchWindowMs > 0)) this._flushBatch();
+      else if (this._batchTimer === null) this._batchTimer = setTimeout(() => this._flushBatch(), this._config.batchWindowMs);
+      return;
+    }
+    if (this._decodePool !== null) {
+      this._decodePool.push(data, timeReceived);
+      return;
+    }
+    this._onFrameEntries(decodeFrameEntries(new Uint8Array(data)), timeReceived);
+  }
+
+  _flushBatch() {
+    clearTimeout(this._batchTimer);
+    this._batchTimer = null;
+    if (this._batchBuilder.length === 0) return;
+    const batch = this._batchBuilder.build();
+    this._metrics.recordBatch(batch, this._lastBatchTime);
+    this._onBatch(batch);
+    this.emit("batch", batch);
+  }
+
+  _onDecodeWorkerError(error) {
+    this._logger.error("Intrinio Realtime Client - Decode worker failed (%s)", error);
+    this.emit("error", error);
+  }
+
+  _trySetToken() {
+    if (this._config.isPublicKey)
+      return new Promise((fulfill, reject) => {
+        try {
+          this._logger.info("Intrinio Realtime Client - Authorizing (public key)...");
+          const url = this._getAuthUrl();
+          const xhr = new XMLHttpRequest();
+          //TODO - add header
+          xhr.onerror = (error) => {
+            this._logger.error("Intrinio Realtime Client - Error getting public key auth token: ", error);
+            reject(new ConnectionError("Intrinio Realtime Client - Error getting public key auth token", undefined, undefined, {cause: error}));
+          };
+          xhr.ontimeout = () => {
+            this._logger.error("Intrinio Realtime Client - Timed out trying to get auth token.");
+            reject(new ConnectionError("Intrinio Realtime Client - Timed out trying to get auth token."));
+          };
+          xhr.onabort = () => {
+            this._logger.error("Intrinio Realtime Client - Aborted attempt to get auth token.");
+            reject(new ConnectionError("Intrinio Realtime Client - Aborted attempt to get auth token."));
+          };
           xhr.onreadystatechange = () => {
             if (xhr.readyState === 4) {
               if (xhr.status === 401) {
-                console.error("Intrinio Realtime Client - Unable to authorize (public key)");
-                reject();
+                this._logger.error("Intrinio Realtime Client - Unable to authorize (public key)");
+                const error = new AuthError("Intrinio Realtime Client - Unable to authorize (public key)", xhr.status);
+                this._metrics.authFailures++;
+                this.emit("authError", error);
+                reject(error);
               }
               else if (xhr.status !== 200) {
-                console.error("Intrinio Realtime Client - Could not get public key auth token: Status code (%i)", xhr.status);
-                reject();
+                this._logger.error("Intrinio Realtime Client - Could not get public key auth token: Status code (%i)", xhr.status);
+                this._metrics.authFailures++;
+                reject(new AuthError("Intrinio Realtime Client - Could not get public key auth token: Status code (" + xhr.status + ")", xhr.status));
               }
               else {
-                console.log("Intrinio Realtime Client - Authorized (public key)");
+                this._logger.info("Intrinio Realtime Client - Authorized (public key)");
                 this._token = xhr.responseText;
+                this._tokenTime = Date.now();
                 fulfill();
               }
             }
@@ -556,15 +1685,15 @@ class IntrinioRealtime {
           xhr.send();
         }
         catch (error) {
-          console.error("Intrinio Realtime Client - Error in authorization (%s)", error);
-          reject();
+          this._logger.error("Intrinio Realtime Client - Error in authorization (%s)", error);
+          reject(error instanceof IntrinioRealtimeError ? error : new AuthError("Intrinio Realtime Client - Error in authorization", undefined, {cause: error}));
         }
       })
     else
       return new Promise((fulfill, reject) => {
         try {
           const protocol = (this._config.provider === "MANUAL") ? require('http') : require('https');
-          console.log("Intrinio Realtime Client - Authorizing...");
+          this._logger.info("Intrinio Realtime Client - Authorizing...");
           const url = this._getAuthUrl();
           const options = {
             headers: {
@@ -573,33 +1702,42 @@ class IntrinioRealtime {
           };
           const request = protocol.get(url, options, response => {
             if (response.statusCode == 401) {
-              console.error("Intrinio Realtime Client - Unable to authorize");
-              reject();
+              this._logger.error("Intrinio Realtime Client - Unable to authorize");
+              response.resume();
+              const error = new AuthError("Intrinio Realtime Client - Unable to authorize", response.statusCode);
+              this._metrics.authFailures++;
+              this.emit("authError", error);
+              reject(error);
             }
             else if (response.statusCode != 200) {
-              console.error("Intrinio Realtime Client - Could not get auth token: Status code (%i)", response.statusCode);
-              reject();
+              this._logger.error("Intrinio Realtime Client - Could not get auth token: Status code (%i)", response.statusCode);
+              response.resume();
+              this._metrics.authFailures++;
+              reject(new AuthError("Intrinio Realtime Client - Could not get auth token: Status code (" + response.statusCode + ")", response.statusCode));
             }
             else {
               response.on("data", data => {
                 this._token = decoder.decode(data);
-                console.log("Intrinio Realtime Client - Authorized");
+                this._tokenTime = Date.now();
+                this._logger.info("Intrinio Realtime Client - Authorized");
                 fulfill();
               });
             }
           })
           request.on("timeout", () => {
-            console.error("Intrinio Realtime Client - Timed out trying to get auth token.");
-            reject();
+            this._logger.error("Intrinio Realtime Client - Timed out trying to get auth token.");
+            reject(new ConnectionError("Intrinio Realtime Client - Timed out trying to get auth token."));
           });
           request.on("error", error => {
-            console.error("Intrinio Realtime Client - Error getting auth token: ", error);
-            reject();
+            this._logger.error("Intrinio Realtime Client - Error getting auth token: ", error);
+            const connectionError = new ConnectionError("Intrinio Realtime Client - Error getting auth token", undefined, undefined, {cause: error});
+            this.emit("error", connectionError);
+            reject(connectionError);
           });
         }
         catch (error) {
-          console.error("Intrinio Realtime Client - Error in authorization (%s)", error);
-          reject();
+          this._logger.error("Intrinio Realtime Client - Error in authorization (%s)", error);
+          reject(error instanceof IntrinioRealtimeError ? error : new AuthError("Intrinio Realtime Client - Error in authorization", undefined, {cause: error}));
         }
       });
   }
@@ -647,203 +1785,525 @@ class IntrinioRealtime {
   }
 
   _resetWebsocket() {
+    try {
+      this._throwIfStopping();
+    }
+    catch (error) {
+      return Promise.reject(error);
+    }
     if (this._config.isPublicKey)
       return new Promise((fulfill, reject) => {
         try {
-          console.info("Intrinio Realtime Client - Websocket initializing (public key)");
+          this._logger.info("Intrinio Realtime Client - Websocket initializing (public key)");
           let wsUrl = this._getWebSocketUrl();
-          this._websocket = new WebSocket(wsUrl);
+          const websocket = new WebSocket(wsUrl);
+          this._websocket = websocket;
           this._websocket.binaryType = "arraybuffer";
           this._websocket.onopen = () => {
-            console.log("Intrinio Realtime Client - Websocket connected (public key)");
-            if (this._channels.size > 0) {
-              for (const [channel, tradesOnly] of this._channels) {
-                let message = this._makeJoinMessage(tradesOnly, channel);
-                console.info("Intrinio Realtime Client - Joining channel: %s (trades only = %s)", channel, tradesOnly);
-                this._websocket.send(message);
-              }
+            if (this._isStopping) {
+              websocket.close(1000, "Terminated by client");
+              reject(new ConnectionError("Intrinio Realtime Client - Connection cancelled, the client is stopping"));
+              return;
             }
-            this._lastReset = Date.now();
+            this._logger.info("Intrinio Realtime Client - Websocket connected (public key)");
+            this._serverChannels.clear();
+            this._syncChannels();
             this._isReady = true;
-            this._isReconnecting = false;
+            this._onSocketOpened();
             fulfill(true);
           };
-          this._websocket.onclose = (code) => {
-            if (!this._attemptingReconnect) {
-              this._isReady = false;
-              console.info("Intrinio Realtime Client - Websocket closed (code: %o)", code);
-              if (code != 1000) {
-                console.info("Intrinio Realtime Client - Websocket reconnecting...");
-                if (!this._isReady) {
-                  this._attemptingReconnect = true;
-                  if ((Date.now() - this._lastReset) > 86400000) {
-                    doBackoff(this, this._trySetToken).then(() => {doBackoff(this, this._resetWebsocket)});
-                  }
-                  doBackoff(this, this._resetWebsocket);
-                }
-              }
-            }
-            else reject();
+          this._websocket.onclose = (event) => {
+            this._onSocketClosed(websocket, event.code, event.reason, reject);
           }
           this._websocket.onerror = (error) => {
-            console.error("Intrinio Realtime Client - Websocket error: %s", error);
-            reject();
+            this._logger.error("Intrinio Realtime Client - Websocket error: %s", error);
+            const connectionError = new ConnectionError("Intrinio Realtime Client - Websocket error", undefined, undefined, {cause: error});
+            this.emit("error", connectionError);
+            reject(connectionError);
           }
           this._websocket.onmessage = (message) => {
             this._msgCount++;
+            this._lastMessageTime = Date.now();
+            this._metrics.bytesReceived += (message.data instanceof ArrayBuffer) ? message.data.byteLength : encoder.encode(message.data).length;
             if (message.data instanceof ArrayBuffer)
               this._parseSocketMessage(message.data);
-            else
-              console.log("Intrinio Realtime Client - Message: %s", message.data);
+            else {
+              this._onServerText(message.data);
+            }
           };
         }
         catch (error) {
-          console.error("Intrinio Realtime Client - Error establishing public key websocket connection (%s)", error);
-          reject();
+          this._logger.error("Intrinio Realtime Client - Error establishing public key websocket connection (%s)", error);
+          reject(new ConnectionError("Intrinio Realtime Client - Error establishing public key websocket connection", undefined, undefined, {cause: error}));
         }
       });
     else
       return new Promise((fulfill, reject) => {
         try {
-          console.info("Intrinio Realtime Client - Websocket initializing");
+          this._logger.info("Intrinio Realtime Client - Websocket initializing");
           const WebSocket = require('ws');
           let wsUrl = this._getWebSocketUrl();
-          this._websocket = new WebSocket(wsUrl, {perMessageDeflate: false}, {headers: {
+          const websocket = new WebSocket(wsUrl, {perMessageDeflate: false}, {headers: {
               [CLIENT_INFO_HEADER_KEY]: CLIENT_INFO_HEADER_VALUE,
               [MESSAGE_VERSION_HEADER_KEY]: MESSAGE_VERSION_HEADER_VALUE
             }});
+          this._websocket = websocket;
           this._websocket.binaryType = "arraybuffer";
           this._websocket.on("open", () => {
-            console.log("Intrinio Realtime Client - Websocket connected");
-            if (this._channels.size > 0) {
-              for (const [channel, tradesOnly] of this._channels) {
-                let message = this._makeJoinMessage(tradesOnly, channel);
-                console.info("Intrinio Realtime Client - Joining channel: %s (trades only = %s)", channel, tradesOnly);
-                this._websocket.send(message);
-              }
+            if (this._isStopping) {
+              websocket.close(1000, "Terminated by client");
+              reject(new ConnectionError("Intrinio Realtime Client - Connection cancelled, the client is stopping"));
+              return;
             }
-            this._lastReset = Date.now();
+            this._logger.info("Intrinio Realtime Client - Websocket connected");
+            this._serverChannels.clear();
+            this._syncChannels();
             this._isReady = true;
-            this._isReconnecting = false;
+            this._onSocketOpened();
             fulfill(true);
           });
           this._websocket.on("close", (code, reason) => {
-            if (!this._attemptingReconnect) {
-              this._isReady = false;
-              console.info("Intrinio Realtime Client - Websocket closed (code: %o)", code);
-              if (code != 1000) {
-                console.info("Intrinio Realtime Client - Websocket reconnecting...");
-                if (!this._isReady) {
-                  this._attemptingReconnect = true;
-                  if ((Date.now() - this._lastReset) > 86400000) {
-                    doBackoff(this, this._trySetToken).then(() => {doBackoff(this, this._resetWebsocket)});
-                  }
-                  doBackoff(this, this._resetWebsocket);
-                }
-              }
-            }
-            else reject();
+            this._onSocketClosed(websocket, code, reason ? reason.toString() : "", reject);
+          });
+          this._websocket.on("pong", () => {
+            this._awaitingPong = false;
           });
           this._websocket.on("error", (error) => {
-            console.error("Intrinio Realtime Client - Websocket error: %s", error);
-            reject();
+            this._logger.error("Intrinio Realtime Client - Websocket error: %s", error);
+            const connectionError = new ConnectionError("Intrinio Realtime Client - Websocket error", undefined, undefined, {cause: error});
+            this.emit("error", connectionError);
+            reject(connectionError);
           });
-          this._websocket.on("message", (message) => {
+          this._websocket.on("message", (message, isBinary) => {
             this._msgCount++;
-            this._parseSocketMessage(message);
+            this._lastMessageTime = Date.now();
+            this._metrics.bytesReceived += message.byteLength;
+            if (isBinary) {
+              if (this._recorder) this._recorder.record(message);
+              this._parseSocketMessage(message);
+            }
+            else {
+              this._onServerText(decoder.decode(message));
+            }
           });
         }
         catch (error) {
-          console.error("Intrinio Realtime Client - Error establishing websocket connection (%s)", error);
-          reject();
+          this._logger.error("Intrinio Realtime Client - Error establishing websocket connection (%s)", error);
+          reject(new ConnectionError("Intrinio Realtime Client - Error establishing websocket connection", undefined, undefined, {cause: error}));
         }
       });
   }
 
-  _join(symbol, tradesOnly) {
-    if (this._channels.has("$lobby")) {
-      console.warn("Intrinio Realtime Client - $lobby channel already joined. Other channels not necessary.");
+  _onSocketOpened() {
+    this._setState("open");
+    if (this._backpressure.size > 0) this._pauseSocket(true);
+    this._settleReadyWaiters();
+    this._startWatchdog();
+    this.emit("open");
+    if (this._hasConnected) {
+      this.emit("reconnected");
     }
+    this._hasConnected = true;
+  }
+
+  //Watches an open connection for silence during market hours (config.staleTimeoutMs) and, on NodeJS, for missed pongs
+  //(config.heartbeatIntervalMs). Silence is expected while the socket is paused for backpressure, so it isn't counted.
+  _startWatchdog() {
+    this._stopWatchdog();
+    this._lastMessageTime = Date.now();
+    const staleTimeoutMs = this._config.staleTimeoutMs;
+    if (staleTimeoutMs > 0) {
+      this._watchdogTimer = setInterval(() => {
+        const now = Date.now();
+        if ((this._backpressure.size > 0) || (this._config.marketHours && !isDuringMarketHours(now, this._config.marketHours))) {
+          this._lastMessageTime = now;
+        }
+        else if (now - this._lastMessageTime >= staleTimeoutMs) {
+          this._onStale("inactivity", now - this._lastMessageTime);
+        }
+      }, Math.max(Math.floor(staleTimeoutMs / 4), 10));
+      if (this._watchdogTimer.unref) this._watchdogTimer.unref();
+    }
+    if ((this._config.heartbeatIntervalMs > 0) && !this._config.isPublicKey) {
+      this._awaitingPong = false;
+      this._heartbeatTimer = setInterval(() => {
+        if (this._backpressure.size > 0) {
+          this._awaitingPong = false;
+        }
+        else if (this._awaitingPong) {
+          this._onStale("heartbeat", Date.now() - this._lastMessageTime);
+        }
+        else if (this._websocket.readyState === 1) { //OPEN
+          this._awaitingPong = true;
+          this._websocket.ping();
+        }
+      }, this._config.heartbeatIntervalMs);
+      if (this._heartbeatTimer.unref) this._heartbeatTimer.unref();
+    }
+  }
+
+  _stopWatchdog() {
+    clearInterval(this._watchdogTimer);
+    clearInterval(this._heartbeatTimer);
+    this._watchdogTimer = null;
+    this._heartbeatTimer = null;
+  }
+
+  //A socket that closes before it opened fails the connection attempt that created it. Once open, an unexpected close
+  //(not code 1000, and not from stop()) starts a reconnect.
+  _onSocketClosed(websocket, code, reason, reject) {
+    this._logger.info("Intrinio Realtime Client - Websocket closed (code: %o)", code);
+    if (websocket !== this._websocket) {
+      reject(new ConnectionError("Intrinio Realtime Client - Websocket closed (code: " + code + ")", code, reason));
+      return;
+    }
+    const wasReady = this._isReady;
+    this._isReady = false;
+    this._stopWatchdog();
+    this.emit("close", code, reason);
+    if (!wasReady) {
+      reject(new ConnectionError("Intrinio Realtime Client - Websocket closed (code: " + code + ")", code, reason));
+    }
+    else if ((code != 1000) && !this._isStopping) {
+      this._scheduleReconnect();
+    }
+    else if (!this._isStopping) {
+      this._setState("closed");
+    }
+  }
+
+  //Tears down a connection the watchdog found dead and reconnects. The new connection rejoins every channel.
+  _onStale(reason, silentMs) {
+    this._stopWatchdog();
+    this._logger.warn("Intrinio Realtime Client - Connection stale (%s, nothing received for %i ms). Reconnecting...", reason, silentMs);
+    this._isReady = false;
+    this._discardWebsocket();
+    this.emit("stale", { reason: reason, silentMs: silentMs });
+    this._scheduleReconnect();
+  }
+
+  //Starts re-establishing the connection, unless a reconnect is already running. Gives up (state 'closed') after
+  //config.maxReconnectAttempts failed attempts.
+  _scheduleReconnect() {
+    if (this._reconnectPromise) return this._reconnectPromise;
+    this._logger.info("Intrinio Realtime Client - Websocket reconnecting...");
+    this._setState("reconnecting");
+    this._metrics.reconnects++;
+    this.emit("reconnecting");
+    this._reconnectPromise = doBackoff(this, this._reconnect, this._getBackoffOptions(this._config.maxReconnectAttempts))
+      .catch((error) => {
+        if (this._isStopping) return;
+        this._logger.error("Intrinio Realtime Client - Reconnect failed (%s)", error);
+        this._setState("closed");
+        this._settleReadyWaiters(error);
+        this.emit("error", error);
+      })
+      .finally(() => {
+        this._reconnectPromise = null;
+      });
+    return this._reconnectPromise;
+  }
+
+  //Closes the websocket without running its close handler, so it doesn't start a reconnect of its own.
+  _discardWebsocket() {
+    const websocket = this._websocket;
+    if (!websocket) return;
+    if (this._config.isPublicKey) {
+      websocket.onopen = websocket.onclose = websocket.onerror = websocket.onmessage = null;
+      websocket.close();
+    }
+    else {
+      websocket.removeAllListeners();
+      websocket.on("error", () => {});
+      websocket.terminate();
+    }
+  }
+
+  //One reconnect attempt. The token is refreshed if it is over a day old, or if the previous attempt failed.
+  async _reconnect() {
+    if (this._isStopping) {
+      throw new ConnectionError("Intrinio Realtime Client - Reconnect cancelled by stop()");
+    }
+    if (!this._token || ((Date.now() - this._tokenTime) > 86400000)) {
+      await this._trySetToken();
+    }
+    try {
+      await this._resetWebsocket();
+    }
+    catch (error) {
+      this._token = null;
+      throw error;
+    }
+  }
+
+  //Text messages are the server's acknowledgements and errors. A reply for a channel being joined accepts or rejects it.
+  _onServerText(text) {
+    const serverMessage = parseServerMessage(text);
+    if (serverMessage.type === "error") this._logger.warn("Intrinio Realtime Client - Server error: %s", text);
+    else this._logger.info("Intrinio Realtime Client - Message: %s", text);
+    this.emit("serverMessage", text, serverMessage);
+    if (serverMessage.type === "error") this.emit("serverError", serverMessage);
+    const pending = (serverMessage.symbol !== null) ? this._pendingJoins.get(serverMessage.symbol) : undefined;
+    if (pending && (serverMessage.type !== "info")) {
+      const isRejected = (serverMessage.type === "error");
+      if (isRejected) {
+        this._channels.delete(serverMessage.symbol);
+        this._serverChannels.delete(serverMessage.symbol);
+      }
+      this._settleJoin(serverMessage.symbol, isRejected ? "rejected" : "accepted", serverMessage.message);
+    }
+  }
+
+  //Resolves once the server has accepted or rejected the channel, or after config.joinAckTimeoutMs with status "sent".
+  _awaitJoinAck(result) {
+    const timeoutMs = this._config.joinAckTimeoutMs;
+    if (!(timeoutMs > 0)) {
+      return Promise.resolve(result);
+    }
+    this._settleJoin(result.symbol, "sent", null);
+    return new Promise((fulfill) => {
+      const timer = setTimeout(() => this._settleJoin(result.symbol, "sent", null), timeoutMs);
+      if (timer.unref) timer.unref();
+      this._pendingJoins.set(result.symbol, { result: result, fulfill: fulfill, timer: timer });
+    });
+  }
+
+  _settleJoin(symbol, status, message) {
+    const pending = this._pendingJoins.get(symbol);
+    if (!pending) return;
+    this._pendingJoins.delete(symbol);
+    clearTimeout(pending.timer);
+    pending.result.status = status;
+    if (message !== null) pending.result.message = message;
+    pending.fulfill(pending.result);
+  }
+
+  //Records a channel in the desired state, or switches a joined channel between trades only and trades and quotes.
+  _joinOrUpdate(symbol, tradesOnly) {
+    const _tradesOnly = this._config.tradesOnly || (tradesOnly === true);
     if (!this._channels.has(symbol)) {
-      this._channels.set(symbol, tradesOnly);
-      let message = this._makeJoinMessage(tradesOnly, symbol);
-      console.info("Intrinio Realtime Client - Joining channel: %s (trades only = %s)", symbol, tradesOnly);
-      this._websocket.send(message);
+      if (this._channels.has("$lobby")) {
+        this._logger.warn("Intrinio Realtime Client - $lobby channel already joined. Other channels not necessary.");
+      }
+      this._channels.set(symbol, _tradesOnly);
+      return { symbol: symbol, tradesOnly: _tradesOnly, action: "join", status: "sent", message: null };
+    }
+    else if ((typeof tradesOnly === "boolean") && (this._channels.get(symbol) !== _tradesOnly)) {
+      this._logger.info("Intrinio Realtime Client - Updating channel: %s (trades only = %s)", symbol, _tradesOnly);
+      this._channels.set(symbol, _tradesOnly);
+      return { symbol: symbol, tradesOnly: _tradesOnly, action: "update", status: "sent", message: null };
     }
+    return { symbol: symbol, tradesOnly: this._channels.get(symbol), action: "none", status: "unchanged", message: null };
   }
 
-  _leave(symbol) {
-    if (this._channels.has(symbol)) {
-      this._channels.delete(symbol);
-      let message = this._makeLeaveMessage(symbol);
-      console.info("Intrinio Realtime Client - Leaving channel: %s", symbol);
-      this._websocket.send(message);
+  _removeChannel(symbol) {
+    if (this._channels.delete(symbol) && (this._snapshots !== null)) {
+      this._snapshots.delete(symbol, this._channels);
     }
   }
 
-  async join(symbols, tradesOnly) {
-    while (!this._isReady) {
-      await sleep(1000);
+  //Sends the leaves and joins that bring the server in line with _channels. While the websocket is not open, changes
+  //only update _channels; the next (re)connect starts from an empty server state and sends them all.
+  _syncChannels() {
+    if ((!this._websocket) || (this._websocket.readyState !== 1)) { //OPEN
+      return;
     }
-    let _tradesOnly = (this._config.tradesOnly ? this._config.tradesOnly : false) || (tradesOnly ? tradesOnly : false);
-    if (symbols instanceof Array) {
-      for (const symbol of symbols) {
-        if (!this._channels.has(symbol)){
-          this._join(symbol, _tradesOnly);
-        }
+    for (const [channel, tradesOnly] of Array.from(this._serverChannels)) {
+      if (this._channels.get(channel) !== tradesOnly) {
+        this._leave(channel);
       }
     }
-    else if (typeof symbols === "string") {
-      if (!this._channels.has(symbols)){
-        this._join(symbols, _tradesOnly);
+    for (const [channel, tradesOnly] of this._channels) {
+      if (!this._serverChannels.has(channel)) {
+        this._join(channel, tradesOnly);
       }
     }
+  }
+
+  _join(symbol, tradesOnly) {
+    this._serverChannels.set(symbol, tradesOnly);
+    this._logger.info("Intrinio Realtime Client - Joining channel: %s (trades only = %s)", symbol, tradesOnly);
+    this._websocket.send(this._makeJoinMessage(tradesOnly, symbol));
+  }
+
+  _leave(symbol) {
+    this._serverChannels.delete(symbol);
+    this._logger.info("Intrinio Realtime Client - Leaving channel: %s", symbol);
+    this._websocket.send(this._makeLeaveMessage(symbol));
+  }
+
+  //Safe to call at any time: channels joined while disconnected are sent once the websocket opens.
+  //Resolves with one result per symbol: { symbol, tradesOnly, action, status, message }. action is "join", "update"
+  //(tradesOnly changed) or "none" (already joined). status is "accepted" or "rejected" once the server replies,
+  //"sent" without a reply (see config.joinAckTimeoutMs), or "unchanged".
+  async join(symbols, tradesOnly) {
+    let results;
+    if (symbols instanceof Array) {
+      results = symbols.map(symbol => this._joinOrUpdate(symbol, tradesOnly));
+    }
+    else if (typeof symbols === "string") {
+      results = [this._joinOrUpdate(symbols, tradesOnly)];
+    }
     else if ((typeof tradesOnly !== "undefined") || (typeof tradesOnly !== "boolean")) {
-      console.error("Intrinio Realtime Client - If provided, 'tradesOnly' must be of type 'boolean', not '%s'", typeof tradesOnly);
+      this._logger.error("Intrinio Realtime Client - If provided, 'tradesOnly' must be of type 'boolean', not '%s'", typeof tradesOnly);
+      return [];
     }
     else {
-      console.error("Intrinio Realtime Client - Invalid use of 'join'");
+      this._logger.error("Intrinio Realtime Client - Invalid use of 'join'");
+      return [];
     }
+    this._syncChannels();
+    await this.ready();
+    return Promise.all(results.map(result => (result.action === "none") ? result : this._awaitJoinAck(result)));
   }
 
+  //Safe to call at any time: channels left while disconnected are simply not rejoined.
   leave(symbols) {
     if (symbols instanceof Array) {
       for (const symbol of symbols) {
-        if (this._channels.has(symbol)) {
-          this._leave(symbol)
-        }
+        this._removeChannel(symbol);
       }
     }
     else if (typeof symbols === "string") {
-      if (this._channels.has(symbols)) {
-        this._leave(symbols);
+      this._removeChannel(symbols);
+    }
+    else if (arguments.length == 0) {
+      for (const channel of Array.from(this._channels.keys())) {
+        this._removeChannel(channel);
       }
     }
     else {
-      if (arguments.length == 0) {
-        for (const channel of this._channels.keys()) {
-          this._leave(channel);
-        }
-      }
-      else {
-        console.error("Intrinio Realtime Client - Invalid use of 'leave'");
-      }
+      this._logger.error("Intrinio Realtime Client - Invalid use of 'leave'");
+      return;
     }
+    this._syncChannels();
   }
 
   async stop() {
+    this._isStopping = true;
+    if (this._sigintHandler !== null) {
+      process.removeListener('SIGINT', this._sigintHandler);
+      this._sigintHandler = null;
+    }
+    this._stopWatchdog();
+    this._setState("closed");
+    for (const symbol of Array.from(this._pendingJoins.keys())) this._settleJoin(symbol, "sent", null);
+    this._connectPromise = null;
+    this._hasConnected = false; //a connect() after stop() is a new session, not a reconnect
+    this._settleReadyWaiters(new ConnectionError("Intrinio Realtime Client - The client was stopped. Call connect() to reconnect."));
+    this._logger.info("Intrinio Realtime Client - Leaving subscribed channels");
+    this.leave();
     this._isReady = false;
-    console.log("Intrinio Realtime Client - Leaving subscribed channels");
-    for (const channel of this._channels.keys()) {
-      this._leave(channel);
+    if (this._websocket) {
+      while ((this._websocket.readyState === 1) && (this._websocket.bufferedAmount > 0)) { //OPEN
+        await sleep(500);
+      }
+      if (this._websocket.readyState !== 3) { //CLOSED
+        this._logger.info("Intrinio Realtime Client - Websocket closing");
+        const closed = new Promise(fulfill => this.once("close", () => fulfill()));
+        this._websocket.close(1000, "Terminated by client");
+        await closed;
+      }
     }
-    while (this._websocket.bufferedAmount > 0) {
-      await sleep(500);
+    if (this._batchBuilder !== null) {
+      this._flushBatch();
     }
-    console.log("Intrinio Realtime Client - Websocket closing");
-    if (this._websocket) {
-      this._websocket.close(1000, "Terminated by client");
+    if (this._decodePool !== null) {
+      const decodePool = this._decodePool;
+      this._decodePool = null;
+      await decodePool.drain();
+      await decodePool.terminate();
+    }
+    await this.stopRecording();
+    this._logger.info("Intrinio Realtime Client - Websocket closed");
+  }
+
+  //Returns an async iterator over trades and quotes. options: { symbols, types, bufferSize, overflow }
+  stream(options = {}) {
+    return new IntrinioMessageStream(this, options);
+  }
+
+  _setBackpressure(source, isActive) {
+    const wasActive = this._backpressure.size > 0;
+    if (isActive) this._backpressure.add(source);
+    else this._backpressure.delete(source);
+    const isNowActive = this._backpressure.size > 0;
+    if (wasActive !== isNowActive) this._pauseSocket(isNowActive);
+  }
+
+  _pauseSocket(isPaused) {
+    if (!this._websocket) return;
+    if (typeof this._websocket.pause !== "function") {
+      if (isPaused) this._logger.warn("Intrinio Realtime Client - Websocket cannot be paused in this environment; stream buffers may exceed 'bufferSize'");
+      return;
     }
+    if (isPaused) this._websocket.pause();
+    else this._websocket.resume();
+  }
+
+  //Appends every message received from now on to tick files that the ReplayClient can read.
+  //options: { maxBytes, rotateDaily }
+  startRecording(filePath, options = {}) {
+    if (this._config.isPublicKey) {
+      throw new ConfigError("Intrinio Realtime Client - Recording is only available in a node.js environment.");
+    }
+    const previous = this._recorder;
+    const recorder = new TickRecorder(filePath, options, (error) => {
+      this._logger.error("Intrinio Realtime Client - Recording stopped, unable to write %s (%s)", filePath, error.message);
+      if (this._recorder === recorder) this._recorder = null;
+      recorder.close();
+      this.emit("error", error);
+    });
+    this._recorder = recorder;
+    this._logger.info("Intrinio Realtime Client - Recording to %s", filePath);
+    if (previous) previous.close();
+  }
+
+  //Stops recording. Resolves with the paths of the files written once they have been flushed.
+  async stopRecording() {
+    const recorder = this._recorder;
+    this._recorder = null;
+    if (!recorder) return [];
+    await recorder.close();
+    this._logger.info("Intrinio Realtime Client - Recording stopped");
+    return recorder.filePaths;
+  }
+
+  //The last trade, bid and ask seen for a symbol ({ Symbol, LastTrade, Bid, Ask, TotalVolume }), or null. Requires config.snapshots.
+  getSnapshot(symbol) {
+    return this._getSnapshotCache().get(symbol);
+  }
+
+  getAllSnapshots() {
+    return this._getSnapshotCache().getAll();
+  }
+
+  _getSnapshotCache() {
+    if (this._snapshots === null) {
+      throw new ConfigError("Intrinio Realtime Client - Snapshots are disabled. Set config.snapshots to true to keep them.");
+    }
+    return this._snapshots;
+  }
+
+  //Replaces the client-side filter ({ symbols, exclude, subProviders, minSize, minNotional }), or removes it if null.
+  setFilter(filter) {
+    this._filter = filter ? new IntrinioMessageFilter(filter) : null;
+  }
+
+  //Calls handlers (a function, or { onTrade, onQuote }) for the trades and quotes of a symbol, a pattern, or an array of
+  //them, after the client-side filter. Returns a function that removes the handlers.
+  onSymbol(symbols, handlers) {
+    return this._symbolHandlers.add(symbols, handlers);
+  }
+
+  //A snapshot of the client's counters and gauges. See the README for the fields.
+  metrics() {
+    return this._metrics.snapshot(this._channels.size);
+  }
+
+  //metrics() in the Prometheus text exposition format. options: { prefix (default "intrinio_realtime_"), labels }
+  prometheusMetrics(options) {
+    return formatPrometheusMetrics(this.metrics(), options);
   }
 
   getTotalMsgCount() {
@@ -858,115 +2318,471 @@ class Tick{
   }
 }
 
-class IntrinioRealtimeReplayClient {
+//Appends frames to tick files in the replay format: each message followed by its 8 byte receive time
+//(nanoseconds since the unix epoch). Files are rotated when 'maxBytes' is reached and/or when the
+//US/Eastern date changes ('rotateDaily'). A file that cannot be written is reported to onError(error).
+class TickRecorder {
+  constructor(filePath, options = {}, onError = (_) => {}) {
+    const path = require('path');
+    if (!filePath) {
+      throw new ConfigError("Intrinio Realtime Client - A file path is required to record ticks");
+    }
+    this._fs = require('fs');
+    this._extension = path.extname(filePath);
+    this._basePath = filePath.slice(0, filePath.length - this._extension.length);
+    this._maxBytes = options.maxBytes || 0;
+    this._rotateDaily = !!options.rotateDaily;
+    this._stream = null;
+    this._currentDay = null;
+    this._fileIndex = 0;
+    this._bytesWritten = 0;
+    this._onError = onError;
+    this._epochOffset = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+    this.filePaths = [];
+    this._fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  now() {
+    return process.hrtime.bigint() + this._epochOffset;
+  }
+
+  get currentFilePath() {
+    return this._stream ? this._stream.path : null;
+  }
+
+  record(data, timeReceived = this.now()) {
+    const bytes = toBytes(data);
+    let messageCount = 0;
+    const endIndex = forEachFrameMessage(bytes, () => messageCount++, (_) => {});
+    const length = (endIndex - 1) + (messageCount * 8);
+    if (length === 0) return;
+    const output = Buffer.allocUnsafe(length);
+    let outputIndex = 0;
+    let startIndex = 1;
+    while (outputIndex < length) {
+      const messageLength = bytes[startIndex + 1];
+      output.set(bytes.subarray(startIndex, startIndex + messageLength), outputIndex);
+      output.writeBigUInt64LE(BigInt(timeReceived), outputIndex + messageLength);
+      outputIndex += messageLength + 8;
+      startIndex += messageLength;
+    }
+    this._rotateIfNeeded(timeReceived, length);
+    this._stream.write(output);
+    this._bytesWritten += length;
+  }
+
+  close() {
+    const stream = this._stream;
+    this._stream = null;
+    if ((!stream) || stream.destroyed) return Promise.resolve();
+    return new Promise(fulfill => {
+      stream.once("close", () => fulfill());
+      stream.end();
+    });
+  }
+
+  _rotateIfNeeded(timeReceived, length) {
+    const day = this._rotateDaily ? getEasternDateString(Number(BigInt(timeReceived) / 1000000n)) : null;
+    if (this._stream && (day !== this._currentDay)) {
+      this.close();
+      this._fileIndex = 0;
+    }
+    else if (this._stream && (this._maxBytes > 0) && (this._bytesWritten + length > this._maxBytes) && (this._bytesWritten > 0)) {
+      this.close();
+      this._fileIndex++;
+    }
+    if (!this._stream) {
+      this._currentDay = day;
+      this._open();
+    }
+  }
+
+  _getFilePath() {
+    let filePath = this._basePath;
+    if (this._rotateDaily) filePath += "." + this._currentDay;
+    if (this._maxBytes > 0) filePath += "." + this._fileIndex;
+    return filePath + this._extension;
+  }
+
+  _open() {
+    let filePath = this._getFilePath();
+    //don't append to a file that is already full, e.g. after a restart
+    while ((this._maxBytes > 0) && this._fs.existsSync(filePath) && (this._fs.statSync(filePath).size >= this._maxBytes)) {
+      this._fileIndex++;
+      filePath = this._getFilePath();
+    }
+    this._bytesWritten = this._fs.existsSync(filePath) ? this._fs.statSync(filePath).size : 0;
+    const stream = this._fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on("error", (error) => {
+      if (this._stream === stream) this._stream = null;
+      this._onError(error);
+    });
+    this._stream = stream;
+    if (!this.filePaths.includes(filePath)) this.filePaths.push(filePath);
+  }
+}
+
+class IntrinioRealtimeReplayClient extends IntrinioClientBase {
   constructor(accessKey, onTrade, onQuote, config = {}) {
+    super("Intrinio Replay Client - ");
     this._accessKey = accessKey;
-    this._config = Object.assign(defaultReplayConfig, config);
+    this._config = Object.assign({}, defaultReplayConfig, config);
+    this._logger = new IntrinioLogger(this._config.logger, this._config.logLevel);
     this._msgCount = 0;
+    this._metrics = new IntrinioMetrics();
     this._channels = new Map();
+    this._snapshots = this._config.snapshots ? new IntrinioSnapshotCache() : null;
+    this._filter = this._config.filter ? new IntrinioMessageFilter(this._config.filter) : null;
+    this._symbolHandlers = new IntrinioSymbolHandlers();
+    this._onBatch = (typeof this._config.onBatch === "function") ? this._config.onBatch : null;
+    this._batchBuilder = (this._onBatch !== null) ? new IntrinioColumnarBatchBuilder(new IntrinioSymbolDictionary()) : null;
+    this._lastBatchTime = 0n;
+    this._onBatchEntryError = (entry) => this._onFrameEntries([entry], this._lastBatchTime);
     this._onTrade = (onTrade && (typeof onTrade === "function")) ? onTrade : (_) => {};
     this._onQuote = (onQuote && (typeof onQuote === "function")) ? onQuote : (_) => {};
-    this._float32Array = new Float32Array(1);
-    this._backingByteArray = new Uint8Array(this._float32Array.buffer);
 
     if (this._config.isPublicKey){
-      throw "Intrinio Replay Client - Replay Client is only available in a node.js environment.";
+      throw new ConfigError("Intrinio Replay Client - Replay Client is only available in a node.js environment.");
     }
 
-    if ((!this._accessKey) || (this._accessKey === "")) {
-      throw "Intrinio Replay Client - Access Key is required";
+    if (((!this._accessKey) || (this._accessKey === "")) && !this._config.replayFiles) {
+      throw new ConfigError("Intrinio Replay Client - Access Key is required");
+    }
+
+    if (!this._config.provider) {
+      throw new ConfigError("Intrinio Replay Client - 'config.provider' must be specified");
+    }
+    else if ((this._config.provider !== "IEX") && (this._config.provider !== "CBOE_ONE") && (this._config.provider !== "EQUITIES_EDGE") && (this._config.provider !== "REALTIME") && (this._config.provider !== "MANUAL")
+          && (this._config.provider !== "DELAYED_SIP") && (this._config.provider !== "NASDAQ_BASIC")) {
+        throw new ConfigError("Intrinio Replay Client - 'config.provider' must be either 'IEX' or 'REALTIME' or 'CBOE_ONE' or 'EQUITIES_EDGE' or 'MANUAL' or 'DELAYED_SIP' or 'NASDAQ_BASIC'");
+    }
+
+    if(onTrade && !onQuote){
+      this._config.tradesOnly = true;
+    }
+
+    this._replayDates = this._config.replayFiles ? [] : this._getReplayDates();
+    this._localFilePaths = this._config.replayFiles ? this._getLocalFilePaths() : null;
+    this._paceAnchor = null;
+    this._pause = null;
+    this._seek = null;
+    this._backpressure = new Set();
+    this._backpressureWaiters = [];
+    this._batchWindowEnd = null;
+    this._acceptBatchMessage = (symbol, type) => this._isSubscribed(symbol, type === 0);
+    this._isStopping = false;
+    this._isDelivering = false;
+    this._paceTimer = null;
+    this._paceWakeUp = null;
+    if (this._config.replaySpeed !== undefined) this.setReplaySpeed(this._config.replaySpeed);
+
+    this._replayPromise = this._start().catch((error) => {
+      this._logger.error("Intrinio Replay Client - Replay failed (%s)", error);
+      this.emit("error", error);
+    });
+  }
+
+  async _getAllApiDownloadResponses(urls){
+    let responses = [];
+    for (let i = 0; i < urls.length; i++){
+      try{
+        let apiResponse = await this._getApiDownloadResponse(urls[i]);
+        if (apiResponse !== undefined && apiResponse !== null){ responses.push(apiResponse); }
+      }
+      catch (ex){
+        //not all customers have access to all subsources within a source.  Ignore errors if they don't.
+      }
+    }
+    return responses;
+  }
+
+  async _getAllFilePaths(responses){
+    let filePaths = [];
+    //download the files to a temp dir
+    for (let i = 0; i < responses.length; i++){
+      let filePath = await this._downloadFile(this._decodeUrl(responses[i].url), responses[i].name)
+      if (filePath !== undefined && filePath !== null && filePath !== ""){ filePaths.push(filePath); }
+    }
+    return filePaths;
+  }
+
+  _deleteReplayFiles(filePaths){
+    const fs = require('fs');
+    for (let i = 0; i < filePaths.length; i++) {
+      if (fs.existsSync(filePaths[i])){
+        this._logger.info("Intrinio Replay Client - Deleting file: " + filePaths[i]);
+        fs.unlinkSync(filePaths[i]); //delete file
+      }
+    }
+  }
+
+  async _getAllFileIterators(filePaths){
+    let enumerators = [];
+    for (let i = 0; i < filePaths.length; i++){
+      enumerators.push(await replayTickFileWithoutDelay(filePaths[i]));
+    }
+    return enumerators;
+  }
+
+
+  //Expands 'config.replayFiles' (a tick file or directory path, or an array of them) into the tick files to replay.
+  //Called from the constructor, so a path that is missing or can't be read throws there.
+  _getLocalFilePaths(){
+    const fs = require('fs');
+    const path = require('path');
+    let filePaths = [];
+    let entries = (this._config.replayFiles instanceof Array) ? this._config.replayFiles : [this._config.replayFiles];
+    for (const entry of entries) {
+      if ((typeof entry !== "string") || !fs.existsSync(entry)) {
+        throw new ConfigError("Intrinio Replay Client - Replay file not found: " + entry);
+      }
+      try {
+        if (fs.statSync(entry).isDirectory()) {
+          for (const fileName of fs.readdirSync(entry).sort()) {
+            let filePath = path.join(entry, fileName);
+            if (fs.statSync(filePath).isFile()) filePaths.push(filePath);
+          }
+        }
+        else filePaths.push(entry);
+      }
+      catch (error) {
+        throw new ConfigError("Intrinio Replay Client - Unable to read replay files from " + entry + " (" + error.message + ")", {cause: error});
+      }
+    }
+    for (const filePath of filePaths) {
+      try {
+        fs.accessSync(filePath, fs.constants.R_OK);
+      }
+      catch (error) {
+        throw new ConfigError("Intrinio Replay Client - Unable to read replay file " + filePath + " (" + error.message + ")", {cause: error});
+      }
+    }
+    return filePaths;
+  }
+
+  async _downloadReplayFiles(replayDate){
+    let urls = await this._getApiReplayUrls(replayDate);
+    let responses = await this._getAllApiDownloadResponses(urls);
+    return await this._getAllFilePaths(responses);
+  }
+
+  //The weekdays from 'config.replayStartDate' through 'config.replayEndDate', or just 'config.replayDate'.
+  _getReplayDates(){
+    if (!this._config.replayStartDate && !this._config.replayEndDate) {
+      return [this._config.replayDate];
+    }
+    const start = this._parseReplayDate(this._config.replayStartDate || this._config.replayEndDate);
+    const end = this._parseReplayDate(this._config.replayEndDate || this._config.replayStartDate);
+    if (end < start) {
+      throw new ConfigError("Intrinio Replay Client - 'config.replayEndDate' must not be before 'config.replayStartDate'");
+    }
+    let dates = [];
+    for (let date = new Date(start); date <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+      const dayOfWeek = date.getUTCDay();
+      if ((dayOfWeek !== 0) && (dayOfWeek !== 6)) {
+        dates.push(date.toISOString().slice(0, 10));
+      }
+    }
+    return dates;
+  }
+
+  _parseReplayDate(value){
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value + "T00:00:00Z"))) {
+      throw new ConfigError("Intrinio Replay Client - Replay dates must be formatted as 'YYYY-MM-DD', not '" + value + "'");
+    }
+    return new Date(value + "T00:00:00Z");
+  }
+
+  async _replayFiles(filePaths){
+    let fileGroup = await this._getAllFileIterators(filePaths);
+    let aggregatedTickIterator = replayFileGroupWithoutDelay(fileGroup);
+    this._paceAnchor = null;
+
+    this._logger.info("Intrinio Replay Client - Starting to read files...")
+
+    for await (const tick of aggregatedTickIterator) {
+      if (this._isStopping) break;
+      if (!tick || this._isBeforeSeekTarget(tick.timeReceived)) continue;
+      if (this._config.replayAsIfLive || this._config.replaySpeed) {
+        await this._waitUntilDue(tick.timeReceived);
+      }
+      await this._waitWhilePaused(tick.timeReceived);
+      //a seek() made while this tick waited may have skipped past it
+      if (this._isBeforeSeekTarget(tick.timeReceived)) continue;
+      while ((this._backpressure.size > 0) && !this._isStopping) {
+        await new Promise(fulfill => this._backpressureWaiters.push(fulfill));
+      }
+      if (this._isStopping) break;
+      this._isDelivering = true;
+      try {
+        await this._parseSocketMessage(tick.data, BigInt(tick.timeReceived));
+      }
+      finally {
+        this._isDelivering = false;
+      }
     }
+    if ((this._batchBuilder !== null) && !this._isStopping) await this._flushBatch();
+    this._settleSeek();
+  }
 
-    if (!this._config.provider) {
-      throw "Intrinio Replay Client - 'config.provider' must be specified";
-    }
-    else if ((this._config.provider !== "IEX") && (this._config.provider !== "CBOE_ONE") && (this._config.provider !== "EQUITIES_EDGE") && (this._config.provider !== "REALTIME") && (this._config.provider !== "MANUAL")
-          && (this._config.provider !== "DELAYED_SIP") && (this._config.provider !== "NASDAQ_BASIC")) {
-        throw "Intrinio Replay Client - 'config.provider' must be either 'IEX' or 'REALTIME' or 'CBOE_ONE' or 'EQUITIES_EDGE' or 'MANUAL' or 'DELAYED_SIP' or 'NASDAQ_BASIC'";
+  //Sleeps until a tick is due, relative to the first tick paced since the last (re)anchor, at the current replay speed.
+  async _waitUntilDue(timeReceived){
+    const now = BigInt(Date.now()) * 1000000n;
+    if (this._paceAnchor === null) {
+      this._paceAnchor = { wallTime: now, tickTime: timeReceived };
+      return;
+    }
+    const speed = this._config.replaySpeed || 1;
+    const elapsed = Number(timeReceived - this._paceAnchor.tickTime) / speed;
+    const sleepMs = (Number(this._paceAnchor.wallTime - now) + elapsed) / 1000000;
+    if (sleepMs >= 1) {
+      //stop() and seek() wake a pacing sleep up early
+      await new Promise(fulfill => {
+        this._paceWakeUp = fulfill;
+        this._paceTimer = setTimeout(fulfill, sleepMs);
+      });
+      this._paceTimer = null;
+      this._paceWakeUp = null;
     }
+  }
 
-    if(!onTrade) {
-      throw "Intrinio Replay Client - 'onTrade' callback is required";
-    }
+  _wakePace(){
+    clearTimeout(this._paceTimer);
+    if (this._paceWakeUp !== null) this._paceWakeUp();
+  }
 
-    if(!onQuote){
-      this._config.tradesOnly = true;
-    }
+  async _waitWhilePaused(timeReceived){
+    if (this._pause === null) return;
+    await this._pause.promise;
+    this._paceAnchor = { wallTime: BigInt(Date.now()) * 1000000n, tickTime: timeReceived };
+  }
 
-    this._start();
+  _isBeforeSeekTarget(timeReceived){
+    if (this._seek === null) return false;
+    if (this._seek.target === null) {
+      //a time of day resolves against the US/Eastern date of the first tick after the seek
+      const date = getEasternDateString(Number(timeReceived / 1000000n));
+      this._seek.target = BigInt(getEasternEpochMs(date, this._seek.hours, this._seek.minutes, this._seek.seconds)) * 1000000n;
+    }
+    if (timeReceived < this._seek.target) return true;
+    this._settleSeek();
+    this._paceAnchor = null;
+    return false;
   }
 
-  async _getAllApiDownloadResponses(urls){
-    let responses = [];
-    for (let i = 0; i < urls.length; i++){
-      try{
-        let apiResponse = await this._getApiDownloadResponse(urls[i]);
-        if (apiResponse !== undefined && apiResponse !== null){ responses.push(apiResponse); }
-      }
-      catch (ex){
-        //not all customers have access to all subsources within a source.  Ignore errors if they don't.
-      }
+  _settleSeek(){
+    if (this._seek !== null) {
+      const seek = this._seek;
+      this._seek = null;
+      seek.fulfill();
     }
-    return responses;
   }
 
-  async _getAllFilePaths(responses){
-    let filePaths = [];
-    //download the files to a temp dir
-    for (let i = 0; i < responses.length; i++){
-      let filePath = await this._downloadFile(this._decodeUrl(responses[i].url), responses[i].name)
-      if (filePath !== undefined && filePath !== null && filePath !== ""){ filePaths.push(filePath); }
-    }
-    return filePaths;
+  //Returns an async iterator over trades and quotes. options: { symbols, types, bufferSize, overflow }
+  stream(options = {}) {
+    return new IntrinioMessageStream(this, options);
   }
 
-  _deleteReplayFiles(filePaths){
-    const fs = require('fs');
-    for (let i = 0; i < filePaths.length; i++) {
-      if (fs.existsSync(filePaths[i])){
-        console.log("Intrinio Replay Client - Deleting file: " + filePath);
-        fs.unlinkSync(filePaths[i]); //delete file
-      }
+  _setBackpressure(source, isActive) {
+    if (isActive) this._backpressure.add(source);
+    else this._backpressure.delete(source);
+    if (this._backpressure.size === 0) {
+      const waiters = this._backpressureWaiters;
+      this._backpressureWaiters = [];
+      for (const waiter of waiters) waiter();
     }
   }
 
-  async _getAllFileIterators(filePaths){
-    let enumerators = [];
-    for (let i = 0; i < filePaths.length; i++){
-      enumerators.push(await replayTickFileWithoutDelay(filePaths[i]));
+  //Pauses delivery of replayed messages until resume() is called.
+  pause(){
+    if (this._pause === null) {
+      let fulfill = null;
+      const promise = new Promise(resolve => fulfill = resolve);
+      this._pause = { promise: promise, fulfill: fulfill };
+      this._logger.info("Intrinio Replay Client - Paused");
     }
-    return enumerators;
   }
 
-  async _getAggregateTickIterator(fileGroup){
-    if (this._config.replayAsIfLive){
-      return await replayFileGroupWithDelay(fileGroup);
-    }
-    else{
-      return await replayFileGroupWithoutDelay(fileGroup);
+  resume(){
+    if (this._pause !== null) {
+      const pause = this._pause;
+      this._pause = null;
+      this._logger.info("Intrinio Replay Client - Resumed");
+      pause.fulfill();
     }
   }
 
-  async _start(){
-    let urls = await this._getApiReplayUrls();
-    let responses = await this._getAllApiDownloadResponses(urls);
-    let filePaths = await this._getAllFilePaths(responses);
-    let fileGroup = await this._getAllFileIterators(filePaths);
-
-    let aggregatedTickIterator = await this._getAggregateTickIterator(fileGroup);
+  get isPaused(){
+    return this._pause !== null;
+  }
 
-    console.log("Starting to read files...")
+  //Changes the pace of an 'as if live' replay: 2 plays twice as fast as live, 0.5 at half speed.
+  setReplaySpeed(speed){
+    if ((typeof speed !== "number") || !(speed > 0)) {
+      throw new ConfigError("Intrinio Replay Client - Replay speed must be a positive number");
+    }
+    this._config.replaySpeed = speed;
+    this._paceAnchor = null;
+  }
 
-    let next = await aggregatedTickIterator.next();
-    await this._parseSocketMessage(next.value.data);
-    while(!next.done){
-      next = await aggregatedTickIterator.next();
-      await this._parseSocketMessage(next.value.data);
+  //Skips ahead, without calling any handlers, to the first message received at or after 'target': a US/Eastern
+  //time of day ("09:30" or "09:30:15", on the date being replayed), a Date, epoch milliseconds, or epoch
+  //nanoseconds as a BigInt. Resolves once the target has been reached (or the replay has ended).
+  seek(target){
+    let seek = { target: null, hours: 0, minutes: 0, seconds: 0, fulfill: null };
+    const timeOfDay = (typeof target === "string") ? /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(target) : null;
+    if (timeOfDay) {
+      seek.hours = Number(timeOfDay[1]);
+      seek.minutes = Number(timeOfDay[2]);
+      seek.seconds = Number(timeOfDay[3] || 0);
+    }
+    else if (typeof target === "bigint") seek.target = target;
+    else if (typeof target === "number") seek.target = BigInt(Math.floor(target)) * 1000000n;
+    else if (target instanceof Date) seek.target = BigInt(target.getTime()) * 1000000n;
+    else if ((typeof target === "string") && !isNaN(Date.parse(target))) seek.target = BigInt(Date.parse(target)) * 1000000n;
+    else {
+      throw new ConfigError("Intrinio Replay Client - 'seek' takes a time of day ('09:30'), a Date, epoch milliseconds or epoch nanoseconds (BigInt)");
     }
+    this._settleSeek();
+    this._logger.info("Intrinio Replay Client - Seeking to %s", String(target));
+    const promise = new Promise(fulfill => {
+      seek.fulfill = fulfill;
+      this._seek = seek;
+    });
+    this._wakePace();
+    return promise;
+  }
+
+  async _start(){
+    if (this._config.replayFiles) {
+      await this._replayFiles(this._localFilePaths);
+      return;
+    }
+
+    let previousDate = null;
+    for (const replayDate of this._replayDates) {
+      if (this._isStopping) return;
+      let filePaths = await this._downloadReplayFiles(replayDate);
+      if (filePaths.length === 0) {
+        this._logger.info("Intrinio Replay Client - No replay files for %s, skipping", replayDate);
+        continue;
+      }
+      if (previousDate !== null) {
+        if (this._snapshots !== null) this._snapshots.clear();
+        this.emit("dayBoundary", { previousDate: previousDate, date: replayDate });
+      }
+      previousDate = replayDate;
+      this._logger.info("Intrinio Replay Client - Replaying %s", replayDate);
 
-    if (this._config.replayDeleteFileWhenDone){
-      console.log("cleaning up files");
-      this._deleteReplayFiles(filePaths, fs)
+      try {
+        await this._replayFiles(filePaths);
+      }
+      finally {
+        if (this._config.replayDeleteFileWhenDone){
+          this._logger.info("Intrinio Replay Client - Cleaning up files");
+          this._deleteReplayFiles(filePaths)
+        }
+      }
     }
   }
 
@@ -985,36 +2801,37 @@ class IntrinioRealtimeReplayClient {
     let tempDir = os.tmpdir();
     let filePath = path.join(tempDir, fileName);
 
-    console.log("Intrinio Replay Client - Starting to download to " + filePath + ".");
+    this._logger.info("Intrinio Replay Client - Starting to download to " + filePath + ".");
     return new Promise((fulfill, reject) => {
       try {
         const request = https.get(url, {}, response => {
           if (response.statusCode != 200) {
-            console.error("Intrinio Replay Client - Could not download " + fileName + ": Status code (%i)", response.statusCode);
-            reject();
+            this._logger.error("Intrinio Replay Client - Could not download " + fileName + ": Status code (%i)", response.statusCode);
+            response.resume();
+            reject(new ReplayDownloadError("Intrinio Replay Client - Could not download " + fileName + ": Status code (" + response.statusCode + ")", response.statusCode, fileName));
           }
           else {
             const fileStream = fs.createWriteStream(filePath);
             response.pipe(fileStream);
             fileStream.on("finish", () => {
               fileStream.close();
-              console.log("Intrinio Replay Client - Successfully downloaded " + filePath + ".");
+              this._logger.info("Intrinio Replay Client - Successfully downloaded " + filePath + ".");
               fulfill(filePath);
             });
           }
         })
         request.on("timeout", () => {
-          console.error("Intrinio Replay Client - Timed out trying to download " + fileName + ".");
-          reject();
+          this._logger.error("Intrinio Replay Client - Timed out trying to download " + fileName + ".");
+          reject(new ReplayDownloadError("Intrinio Replay Client - Timed out trying to download " + fileName + ".", undefined, fileName));
         });
         request.on("error", error => {
-          console.error("Intrinio Replay Client - Error downloading  " + fileName + ": (%s)", error);
-          reject();
+          this._logger.error("Intrinio Replay Client - Error downloading  " + fileName + ": (%s)", error);
+          reject(new ReplayDownloadError("Intrinio Replay Client - Error downloading " + fileName, undefined, fileName, {cause: error}));
         });
       }
       catch (error) {
-        console.error("Intrinio Replay Client - Error downloading " + fileName + ": (%s)", error);
-        reject();
+        this._logger.error("Intrinio Replay Client - Error downloading " + fileName + ": (%s)", error);
+        reject(new ReplayDownloadError("Intrinio Replay Client - Error downloading " + fileName, undefined, fileName, {cause: error}));
       }
     });
   }
@@ -1025,204 +2842,170 @@ class IntrinioRealtimeReplayClient {
         const protocol = require('https');
         const request = protocol.get(url, {}, response => {
           if (response.statusCode != 200) {
-            //console.error("Intrinio Replay Client - Could not fetch download URL from API: Status code (%i)", response.statusCode);
-            reject();
+            //this._logger.error("Intrinio Replay Client - Could not fetch download URL from API: Status code (%i)", response.statusCode);
+            response.resume();
+            reject(new ReplayDownloadError("Intrinio Replay Client - Could not fetch download URL from API: Status code (" + response.statusCode + ")", response.statusCode));
           }
           else {
-            response.on("data", data => {
-              let apiResponse = JSON.parse(data);
-              console.log("Intrinio Replay Client - Successfully fetched download URL from API");
-              fulfill(apiResponse);
+            let chunks = [];
+            response.on("data", data => chunks.push(data));
+            response.on("end", () => {
+              try {
+                let apiResponse = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+                this._logger.info("Intrinio Replay Client - Successfully fetched download URL from API");
+                fulfill(apiResponse);
+              }
+              catch (error) {
+                reject(new ReplayDownloadError("Intrinio Replay Client - Could not parse download URL response from API", response.statusCode, undefined, {cause: error}));
+              }
             });
           }
         })
         request.on("timeout", () => {
-          //console.error("Intrinio Replay Client - Timed out trying to fetched download URL from API.");
-          reject();
+          //this._logger.error("Intrinio Replay Client - Timed out trying to fetched download URL from API.");
+          reject(new ReplayDownloadError("Intrinio Replay Client - Timed out trying to fetch download URL from API."));
         });
         request.on("error", error => {
-          console.error("Intrinio Replay Client - Error fetching download URL from API: ", error);
-          reject();
+          this._logger.error("Intrinio Replay Client - Error fetching download URL from API: ", error);
+          reject(new ReplayDownloadError("Intrinio Replay Client - Error fetching download URL from API", undefined, undefined, {cause: error}));
         });
       }
       catch (error) {
-        console.error("Intrinio Replay Client - Error in fetching download URL (%s)", error);
-        reject();
+        this._logger.error("Intrinio Replay Client - Error in fetching download URL (%s)", error);
+        reject(new ReplayDownloadError("Intrinio Replay Client - Error in fetching download URL", undefined, undefined, {cause: error}));
       }
     });
   }
 
-  _getApiReplayUrls() {
+  _getApiReplayUrls(replayDate = this._config.replayDate) {
     switch(this._config.provider) {
       case "REALTIME":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=iex&date=" + this._config.replayDate + "&api_key=" + this._accessKey];
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=iex&date=" + replayDate + "&api_key=" + this._accessKey];
       case "IEX":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=iex&date=" + this._config.replayDate + "&api_key=" + this._accessKey];
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=iex&date=" + replayDate + "&api_key=" + this._accessKey];
       case "DELAYED_SIP":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=utp_delayed&date=" + this._config.replayDate + "&api_key=" + this._accessKey,
-                "https://api-v2.intrinio.com/securities/replay?subsource=cta_a_delayed&date=" + this._config.replayDate + "&api_key=" + this._accessKey,
-                "https://api-v2.intrinio.com/securities/replay?subsource=cta_b_delayed&date=" + this._config.replayDate + "&api_key=" + this._accessKey,
-                "https://api-v2.intrinio.com/securities/replay?subsource=otc_delayed&date=" + this._config.replayDate + "&api_key=" + this._accessKey,
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=utp_delayed&date=" + replayDate + "&api_key=" + this._accessKey,
+                "https://api-v2.intrinio.com/securities/replay?subsource=cta_a_delayed&date=" + replayDate + "&api_key=" + this._accessKey,
+                "https://api-v2.intrinio.com/securities/replay?subsource=cta_b_delayed&date=" + replayDate + "&api_key=" + this._accessKey,
+                "https://api-v2.intrinio.com/securities/replay?subsource=otc_delayed&date=" + replayDate + "&api_key=" + this._accessKey,
         ];
       case "NASDAQ_BASIC":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=nasdaq_basic&date=" + this._config.replayDate + "&api_key=" + this._accessKey];
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=nasdaq_basic&date=" + replayDate + "&api_key=" + this._accessKey];
       case "CBOE_ONE":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=cboe_one&date=" + this._config.replayDate + "&api_key=" + this._accessKey];
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=cboe_one&date=" + replayDate + "&api_key=" + this._accessKey];
       case "EQUITIES_EDGE":
-        return ["https://api-v2.intrinio.com/securities/replay?subsource=equities_edge&date=" + this._config.replayDate + "&api_key=" + this._accessKey];
-      default: throw "Intrinio Replay Client - 'config.provider' not specified!";
+        return ["https://api-v2.intrinio.com/securities/replay?subsource=equities_edge&date=" + replayDate + "&api_key=" + this._accessKey];
+      default: throw new ConfigError("Intrinio Replay Client - 'config.provider' not specified!");
     }
   }
 
-  _getMessageType(val){
-    switch(val) {
-      case 0:
-        return 'Trade';
-        break;
-      case 1:
-        return 'Ask';
-        break;
-      case 2:
-        return 'Bid';
-        break;
-      default:
-        return '';
-        break;
+  async _parseSocketMessage(data, timeReceived) {
+    const bytes = new Uint8Array(data);
+    this._msgCount++;
+    this._metrics.frames++;
+    this._metrics.bytesReceived += bytes.length;
+    if (this._batchBuilder !== null) {
+      await this._addFrameToBatch(bytes, timeReceived);
+      return;
     }
+    await this._onFrameEntries(decodeFrameEntries(bytes), timeReceived);
   }
 
-  _getSubProvider(val){
-    switch(val) {
-      case 0:
-        return 'NONE';
-        break;
-      case 1:
-        return 'CTA_A';
-        break;
-      case 2:
-        return 'CTA_B';
-        break;
-      case 3:
-        return 'UTP';
-        break;
-      case 4:
-        return 'OTC';
-        break;
-      case 5:
-        return 'NASDAQ_BASIC';
-        break;
-      case 6:
-        return 'IEX';
-        break;
-      case 7:
-        return 'CBOE_ONE';
-        break;
-      case 8:
-        return 'EQUITIES_EDGE';
-        break;
-      default:
-        return 'NONE';
-        break;
+  //A replay waits for each message's callback and handlers (when they return promises) before going on to the next.
+  async _onFrameEntries(entries, timeReceived) {
+    for (const entry of entries) {
+      await this._onFrameEntry(entry, timeReceived);
     }
   }
 
-  _parseTrade(bytes) {
-    let symbolLength = bytes[2];
-    let conditionLength = bytes[26 + symbolLength];
-    return {
-      Type: this._getMessageType(bytes[0]),
-      Symbol: readString(bytes, 3, 3 + symbolLength),
-      Price: readFloat32(bytes, this._float32Array, this._backingByteArray, 6 + symbolLength),
-      Size: readUInt32(bytes, 10 + symbolLength),
-      Timestamp: readUInt64(bytes, 14 + symbolLength),
-      TotalVolume: readUInt32(bytes, 22 + symbolLength),
-      SubProvider: this._getSubProvider(bytes[3 + symbolLength]),
-      MarketCenter: readUnicodeString(bytes, 4 + symbolLength, 6 + symbolLength),
-      Condition: conditionLength > 0 ? readString(bytes, 27 + symbolLength, 27 + symbolLength + conditionLength) : ""
-    }
+  async _deliver(message, callback, event, handlers) {
+    await callback(message);
+    this.emit(event, message);
+    for (const handler of handlers) await handler(message);
   }
 
-  _parseQuote (bytes) {
-    let symbolLength = bytes[2];
-    let conditionLength = bytes[22 + symbolLength];
-    return {
-      Type: this._getMessageType(bytes[0]),
-      Symbol: readString(bytes, 3, 3 + symbolLength),
-      Price: readFloat32(bytes, this._float32Array, this._backingByteArray, 6 + symbolLength),
-      Size: readUInt32(bytes, 10 + symbolLength),
-      Timestamp: readUInt64(bytes, 14 + symbolLength),
-      SubProvider: this._getSubProvider(bytes[3 + symbolLength]),
-      MarketCenter: readUnicodeString(bytes, 4 + symbolLength, 6 + symbolLength),
-      Condition: conditionLength > 0 ? readString(bytes, 23 + symbolLength, 23 + symbolLength + conditionLength) : ""
+  //Batches are windowed by the ticks' receive times, so a replay produces the same batches at any speed.
+  async _addFrameToBatch(bytes, timeReceived) {
+    if ((this._batchWindowEnd !== null) && (timeReceived >= this._batchWindowEnd)) {
+      await this._flushBatch();
+    }
+    this._lastBatchTime = timeReceived;
+    addFrameToBatch(bytes, this._batchBuilder, this._onBatchEntryError, this._acceptBatchMessage);
+    if (!(this._config.batchWindowMs > 0)) {
+      await this._flushBatch();
+    }
+    else if ((this._batchWindowEnd === null) && (this._batchBuilder.length > 0)) {
+      this._batchWindowEnd = timeReceived + (BigInt(this._config.batchWindowMs) * 1000000n);
     }
   }
 
-  async _parseSocketMessage(data) {
-    let bytes = new Uint8Array(data);
-    let msgCount = bytes[0];
-    let startIndex = 1;
-    for (let i = 0; i < msgCount; i++) {
-      let msgType = bytes[startIndex]
-      let msgLength = bytes[startIndex + 1]
-      let endIndex = startIndex + msgLength
-      let chunk = bytes.slice(startIndex, endIndex)
-      switch(msgType) {
-        case 0:
-          let trade = this._parseTrade(chunk);
-          if (this._channels.has("$lobby") || this._channels.has(trade.Symbol)) {
-            await this._onTrade(trade);
-          }
-          break;
-        case 1:
-        case 2:
-          let quote = this._parseQuote(chunk);
-          if ((!this._config.tradesOnly) && (this._channels.has("$lobby") || this._channels.has(quote.Symbol))) {
-            await this._onQuote(quote);
-          }
-          break;
-        default: console.warn("Intrinio Replay Client - Invalid message type: %i", msgType)
-      }
-      startIndex = endIndex
-    }
+  async _flushBatch() {
+    this._batchWindowEnd = null;
+    if (this._batchBuilder.length === 0) return;
+    const batch = this._batchBuilder.build();
+    this._metrics.recordBatch(batch, this._lastBatchTime);
+    await this._onBatch(batch);
+    this.emit("batch", batch);
   }
 
   _join(symbol, tradesOnly) {
     if (this._channels.has("$lobby")) {
-      console.warn("Intrinio Replay Client - $lobby channel already joined. Other channels not necessary.");
+      this._logger.warn("Intrinio Replay Client - $lobby channel already joined. Other channels not necessary.");
     }
     if (!this._channels.has(symbol)) {
       this._channels.set(symbol, tradesOnly);
-      console.info("Intrinio Replay Client - Joining channel: %s (trades only = %s)", symbol, tradesOnly);
+      this._logger.info("Intrinio Replay Client - Joining channel: %s (trades only = %s)", symbol, tradesOnly);
     }
   }
 
   _leave(symbol) {
     if (this._channels.has(symbol)) {
       this._channels.delete(symbol);
-      console.info("Intrinio Replay Client - Leaving channel: %s", symbol);
+      this._logger.info("Intrinio Replay Client - Leaving channel: %s", symbol);
+      if (this._snapshots !== null) this._snapshots.delete(symbol, this._channels);
     }
   }
 
+  //Resolves with one result per symbol, like the realtime client's join(). There is no server, so every join or
+  //update is "accepted".
   async join(symbols, tradesOnly) {
-    let _tradesOnly = (this._config.tradesOnly ? this._config.tradesOnly : false) || (tradesOnly ? tradesOnly : false);
     if (symbols instanceof Array) {
-      for (const symbol of symbols) {
-        if (!this._channels.has(symbol)){
-          this._join(symbol, _tradesOnly);
-        }
-      }
+      return symbols.map(symbol => this._joinOrUpdate(symbol, tradesOnly));
     }
     else if (typeof symbols === "string") {
-      if (!this._channels.has(symbols)){
-        this._join(symbols, _tradesOnly);
-      }
+      return [this._joinOrUpdate(symbols, tradesOnly)];
     }
     else if ((typeof tradesOnly !== "undefined") || (typeof tradesOnly !== "boolean")) {
-      console.error("Intrinio Replay Client - If provided, 'tradesOnly' must be of type 'boolean', not '%s'", typeof tradesOnly);
+      this._logger.error("Intrinio Replay Client - If provided, 'tradesOnly' must be of type 'boolean', not '%s'", typeof tradesOnly);
+    }
+    else {
+      this._logger.error("Intrinio Replay Client - Invalid use of 'join'");
+    }
+    return [];
+  }
+
+  _joinOrUpdate(symbol, tradesOnly) {
+    const _tradesOnly = this._config.tradesOnly || (tradesOnly === true);
+    let action;
+    if (!this._channels.has(symbol)) {
+      this._join(symbol, _tradesOnly);
+      action = "join";
+    }
+    else if ((typeof tradesOnly === "boolean") && (this._channels.get(symbol) !== _tradesOnly)) {
+      this._logger.info("Intrinio Replay Client - Updating channel: %s (trades only = %s)", symbol, _tradesOnly);
+      this._channels.set(symbol, _tradesOnly);
+      action = "update";
     }
     else {
-      console.error("Intrinio Replay Client - Invalid use of 'join'");
+      return { symbol: symbol, tradesOnly: this._channels.get(symbol), action: "none", status: "unchanged", message: null };
     }
+    return { symbol: symbol, tradesOnly: _tradesOnly, action: action, status: "accepted", message: null };
+  }
+
+  //Whether a symbol's trades (or quotes) are subscribed, by its own channel or else by $lobby
+  _isSubscribed(symbol, isTrade) {
+    const tradesOnly = this._channels.has(symbol) ? this._channels.get(symbol) : this._channels.get("$lobby");
+    return (tradesOnly !== undefined) && (isTrade || !tradesOnly);
   }
 
   leave(symbols) {
@@ -1245,16 +3028,63 @@ class IntrinioRealtimeReplayClient {
         }
       }
       else {
-        console.error("Intrinio Replay Client - Invalid use of 'leave'");
+        this._logger.error("Intrinio Replay Client - Invalid use of 'leave'");
       }
     }
   }
 
+  //Ends the replay: no further days are downloaded and no further messages are delivered. A pause or seek in
+  //progress is released. Resolves once the replay has stopped, unless called from one of its own handlers.
   async stop() {
-    console.log("Intrinio Replay Client - Leaving subscribed channels");
+    this._isStopping = true;
+    this._logger.info("Intrinio Replay Client - Leaving subscribed channels");
     for (const channel of this._channels.keys()) {
       this._leave(channel);
     }
+    this.resume();
+    this._settleSeek();
+    this._wakePace();
+    const waiters = this._backpressureWaiters;
+    this._backpressureWaiters = [];
+    for (const waiter of waiters) waiter();
+    if (!this._isDelivering) await this._replayPromise;
+  }
+
+  //The last trade, bid and ask seen for a symbol ({ Symbol, LastTrade, Bid, Ask, TotalVolume }), or null. Requires config.snapshots.
+  getSnapshot(symbol) {
+    return this._getSnapshotCache().get(symbol);
+  }
+
+  getAllSnapshots() {
+    return this._getSnapshotCache().getAll();
+  }
+
+  _getSnapshotCache() {
+    if (this._snapshots === null) {
+      throw new ConfigError("Intrinio Replay Client - Snapshots are disabled. Set config.snapshots to true to keep them.");
+    }
+    return this._snapshots;
+  }
+
+  //Replaces the client-side filter ({ symbols, exclude, subProviders, minSize, minNotional }), or removes it if null.
+  setFilter(filter) {
+    this._filter = filter ? new IntrinioMessageFilter(filter) : null;
+  }
+
+  //Calls handlers (a function, or { onTrade, onQuote }) for the trades and quotes of a symbol, a pattern, or an array of
+  //them, after the client-side filter. Returns a function that removes the handlers.
+  onSymbol(symbols, handlers) {
+    return this._symbolHandlers.add(symbols, handlers);
+  }
+
+  //A snapshot of the client's counters and gauges. See the README for the fields.
+  metrics() {
+    return this._metrics.snapshot(this._channels.size);
+  }
+
+  //metrics() in the Prometheus text exposition format. options: { prefix (default "intrinio_realtime_"), labels }
+  prometheusMetrics(options) {
+    return formatPrometheusMetrics(this.metrics(), options);
   }
 
   getTotalMsgCount() {
@@ -1262,6 +3092,531 @@ class IntrinioRealtimeReplayClient {
   }
 }
 
+const defaultCompositeConfig = {
+  providers: [], //in priority order: provider codes ('IEX', 'NASDAQ_BASIC', ...) or configs ({ name, provider, ipAddress, ... }) that override the rest of this config
+  failoverAfterMs: 0, //if set, channels are joined on one provider at a time and moved to the next connected one once it has been down this long
+  dedup: false, //drop trades and quotes already delivered by another provider (same type, symbol, price, size and timestamp)
+  dedupCacheSize: 10000, //number of recent messages remembered for dedup
+  priorityWindowMs: 0 //if set, drop a symbol's messages from a provider while a higher priority provider has delivered that symbol within this long
+};
+
+const COMPOSITE_FORWARDED_EVENTS = ["open", "close", "reconnecting", "reconnected", "connectFailed", "stateChange", "stale", "authError", "error", "serverMessage", "serverError"];
+
+//Remembers the most recent messages to drop the copies of a trade or quote that other providers deliver.
+class IntrinioMessageDeduplicator {
+  constructor(size) {
+    this._size = size;
+    this._seen = new Map(); //key -> index of the provider that delivered it first
+  }
+
+  isDuplicate(message, provider) {
+    const key = message.Type + "|" + message.Symbol + "|" + message.Price + "|" + message.Size + "|" + message.Timestamp;
+    const firstProvider = this._seen.get(key);
+    if (firstProvider !== undefined) {
+      return firstProvider !== provider;
+    }
+    this._seen.set(key, provider);
+    if (this._seen.size > this._size) {
+      this._seen.delete(this._seen.keys().next().value);
+    }
+    return false;
+  }
+}
+
+//Connects to several providers at once and merges their trades and quotes into one stream, setting each message's
+//Provider. Other events are forwarded with the provider's name as an extra, last argument.
+class IntrinioCompositeClient extends IntrinioEventEmitter {
+  constructor(accessKey, onTrade, onQuote, config = {}) {
+    super();
+    this._config = Object.assign({}, defaultCompositeConfig, config);
+    this._logger = new IntrinioLogger(this._config.logger, this._config.logLevel);
+    this._onTrade = (onTrade && (typeof onTrade === "function")) ? onTrade : (_) => {};
+    this._onQuote = (onQuote && (typeof onQuote === "function")) ? onQuote : (_) => {};
+    this._channels = new Map();
+    this._dedup = this._config.dedup ? new IntrinioMessageDeduplicator(this._config.dedupCacheSize) : null;
+    this._symbolSources = new Map(); //symbol -> { provider, time } of the last delivery, for priorityWindowMs
+    this._duplicates = 0;
+    this._superseded = 0;
+    this._activeIndex = 0;
+    this._downSince = null;
+    this._failoverTimer = null;
+    this._isStopping = false;
+
+    if (!(this._config.providers instanceof Array) || (this._config.providers.length === 0)) {
+      throw new ConfigError("Intrinio Composite Client - 'config.providers' must list at least one provider");
+    }
+    const providers = this._config.providers.map(entry => (typeof entry === "string") ? { provider: entry } : entry);
+    this._names = providers.map(entry => entry.name || entry.provider);
+    if (new Set(this._names).size !== this._names.length) {
+      throw new ConfigError("Intrinio Composite Client - Provider names must be unique. Give repeated providers a 'name'.");
+    }
+    this._hasOpened = providers.map(() => false);
+
+    const sharedConfig = Object.assign({}, this._config);
+    for (const key of Object.keys(defaultCompositeConfig)) {
+      delete sharedConfig[key];
+    }
+    if (onTrade && !onQuote) {
+      sharedConfig.tradesOnly = true;
+    }
+    this._clients = providers.map((entry, index) => {
+      const client = new IntrinioRealtime(accessKey, null, null, Object.assign({}, sharedConfig, entry, { autoConnect: false }));
+      client.on("trade", (trade) => this._onMessage(index, trade));
+      client.on("quote", (quote) => this._onMessage(index, quote));
+      client.on("stateChange", (state) => this._onProviderState(index, state));
+      client.on("connectFailed", () => this._onProviderDown(index));
+      for (const event of COMPOSITE_FORWARDED_EVENTS) {
+        client.on(event, (...args) => this.emit(event, ...args, this._names[index]));
+      }
+      return client;
+    });
+
+    if (this._config.autoConnect !== false) {
+      this.connect().catch(() => {});
+    }
+  }
+
+  //The names of the providers, in priority order.
+  get providers() {
+    return this._names.slice();
+  }
+
+  //The provider the channels are joined on, or null if failover is off (every provider joins every channel).
+  get activeProvider() {
+    return this._isFailoverEnabled() ? this._names[this._activeIndex] : null;
+  }
+
+  //The realtime client of one provider.
+  getClient(provider) {
+    const index = this._names.indexOf(provider);
+    return (index >= 0) ? this._clients[index] : undefined;
+  }
+
+  //Connects every provider. Resolves once one of them is open, or rejects with the first provider's error if all fail.
+  connect() {
+    this._isStopping = false;
+    return Promise.any(this._clients.map(client => client.connect())).catch((error) => {
+      throw error.errors[0];
+    });
+  }
+
+  //Resolves the next time any provider is open.
+  ready() {
+    return Promise.any(this._clients.map(client => client.ready())).catch((error) => {
+      throw error.errors[0];
+    });
+  }
+
+  _isFailoverEnabled() {
+    return this._config.failoverAfterMs > 0;
+  }
+
+  _targets() {
+    return this._isFailoverEnabled() ? [this._activeIndex] : this._clients.map((_, index) => index);
+  }
+
+  _onMessage(index, message) {
+    message.Provider = this._names[index];
+    if ((this._config.priorityWindowMs > 0) && !this._hasPriority(index, message.Symbol)) {
+      this._superseded++;
+      return;
+    }
+    if ((this._dedup !== null) && this._dedup.isDuplicate(message, index)) {
+      this._duplicates++;
+      return;
+    }
+    if (message.Type === 'Trade') {
+      this._onTrade(message);
+      this.emit("trade", message);
+    }
+    else {
+      this._onQuote(message);
+      this.emit("quote", message);
+    }
+  }
+
+  //A provider may deliver a symbol unless a higher priority one has delivered it within config.priorityWindowMs.
+  _hasPriority(index, symbol) {
+    const now = Date.now();
+    const source = this._symbolSources.get(symbol);
+    if (source === undefined) {
+      this._symbolSources.set(symbol, { provider: index, time: now });
+      return true;
+    }
+    if ((source.provider < index) && ((now - source.time) < this._config.priorityWindowMs)) {
+      return false;
+    }
+    source.provider = index;
+    source.time = now;
+    return true;
+  }
+
+  //A provider is down once it leaves "open", or once a connect attempt fails if it has never been open. A slow first
+  //connect doesn't count.
+  _onProviderState(index, state) {
+    if (state === "open") this._hasOpened[index] = true;
+    if (this._isStopping || !this._isFailoverEnabled()) return;
+    if (index === this._activeIndex) {
+      if (state === "open") {
+        clearTimeout(this._failoverTimer);
+        this._failoverTimer = null;
+        this._downSince = null;
+      }
+      else if (this._hasOpened[index]) {
+        this._onProviderDown(index);
+      }
+    }
+    else if (state === "open") {
+      if (index < this._activeIndex) {
+        this._logger.info("Intrinio Composite Client - %s is back", this._names[index]);
+        this._switchTo(index);
+      }
+      else if ((this._downSince !== null) && ((Date.now() - this._downSince) >= this._config.failoverAfterMs)) {
+        this._failover();
+      }
+    }
+  }
+
+  _onProviderDown(index) {
+    if (this._isStopping || !this._isFailoverEnabled() || (index !== this._activeIndex) || (this._downSince !== null)) return;
+    if (this._clients[index].state === "open") return;
+    this._downSince = Date.now();
+    this._failoverTimer = setTimeout(() => this._failover(), this._config.failoverAfterMs);
+    if (this._failoverTimer.unref) this._failoverTimer.unref();
+  }
+
+  //Moves the channels to the highest priority provider that is open. If none is, the next one to open gets them.
+  _failover() {
+    clearTimeout(this._failoverTimer);
+    this._failoverTimer = null;
+    const index = this._clients.findIndex((client, i) => (i !== this._activeIndex) && (client.state === "open"));
+    if (index < 0) {
+      this._logger.warn("Intrinio Composite Client - %s is down and no other provider is connected", this._names[this._activeIndex]);
+      return;
+    }
+    this._logger.warn("Intrinio Composite Client - %s has been down for %i ms", this._names[this._activeIndex], Date.now() - this._downSince);
+    this._switchTo(index);
+  }
+
+  _switchTo(index) {
+    const from = this._activeIndex;
+    this._logger.info("Intrinio Composite Client - Moving %i channels from %s to %s", this._channels.size, this._names[from], this._names[index]);
+    this._clients[from].leave();
+    this._activeIndex = index;
+    clearTimeout(this._failoverTimer);
+    this._failoverTimer = null;
+    this._downSince = null;
+    const channels = { true: [], false: [] };
+    for (const [channel, tradesOnly] of this._channels) {
+      channels[tradesOnly].push(channel);
+    }
+    for (const tradesOnly of [true, false]) {
+      if (channels[tradesOnly].length > 0) this._clients[index].join(channels[tradesOnly], tradesOnly).catch(() => {});
+    }
+    this.emit("failover", { from: this._names[from], to: this._names[index], channels: this._channels.size });
+  }
+
+  //Joins the channels on every provider, or only the active one with failover. Resolves once any provider is open, with
+  //the join results of each target provider, each with a 'provider' field. A target that isn't open joins once it
+  //connects; its results have status "queued" rather than waiting for it.
+  async join(symbols, tradesOnly) {
+    const list = (symbols instanceof Array) ? symbols : ((typeof symbols === "string") ? [symbols] : null);
+    if (list === null) {
+      this._logger.error("Intrinio Composite Client - Invalid use of 'join'");
+      return [];
+    }
+    const _tradesOnly = this._config.tradesOnly || (tradesOnly === true);
+    for (const symbol of list) {
+      if (!this._channels.has(symbol) || (typeof tradesOnly === "boolean")) {
+        this._channels.set(symbol, _tradesOnly);
+      }
+    }
+    await this.ready();
+    const results = await Promise.all(this._targets().map(index => {
+      const client = this._clients[index];
+      const joined = client.join(list, tradesOnly);
+      if (client.state === "open") {
+        return joined.then(providerResults => providerResults.map(result => Object.assign(result, { provider: this._names[index] })));
+      }
+      joined.catch(() => {});
+      return list.map(symbol => ({ symbol: symbol, tradesOnly: this._channels.get(symbol), action: "join", status: "queued", message: null, provider: this._names[index] }));
+    }));
+    return [].concat(...results);
+  }
+
+  leave(symbols) {
+    if (arguments.length == 0) {
+      this._channels.clear();
+      for (const client of this._clients) client.leave();
+      return;
+    }
+    const list = (symbols instanceof Array) ? symbols : ((typeof symbols === "string") ? [symbols] : null);
+    if (list === null) {
+      this._logger.error("Intrinio Composite Client - Invalid use of 'leave'");
+      return;
+    }
+    for (const symbol of list) {
+      this._channels.delete(symbol);
+    }
+    for (const client of this._clients) client.leave(list);
+  }
+
+  async stop() {
+    this._isStopping = true;
+    clearTimeout(this._failoverTimer);
+    this._failoverTimer = null;
+    this._downSince = null;
+    this._channels.clear();
+    await Promise.all(this._clients.map(client => client.stop()));
+    this._activeIndex = 0;
+    this._hasOpened.fill(false);
+  }
+
+  //Messages dropped by dedup and priorityWindowMs, and each provider's metrics().
+  metrics() {
+    const providers = {};
+    this._names.forEach((name, index) => providers[name] = this._clients[index].metrics());
+    return { activeProvider: this.activeProvider, duplicates: this._duplicates, superseded: this._superseded, providers: providers };
+  }
+
+  getTotalMsgCount() {
+    return this._clients.reduce((total, client) => total + client.getTotalMsgCount(), 0);
+  }
+}
+
+function roundPrice(price) {
+  return parseFloat(price.toFixed(4));
+}
+
+//Keeps the best bid and ask per symbol, per market center and consolidated, from a realtime or replay client's quotes.
+class IntrinioQuoteBook extends IntrinioEventEmitter {
+  constructor(client, options = {}) {
+    super();
+    this._client = client;
+    this._symbols = options.symbols ? new Set([].concat(options.symbols)) : null;
+    this._books = new Map();
+    this._onQuote = (quote) => this.update(quote);
+    this._onDayBoundary = () => this.clear();
+    if (client) {
+      client.on("quote", this._onQuote);
+      client.on("dayBoundary", this._onDayBoundary);
+    }
+  }
+
+  //Applies a quote to the book. Called for every quote from the client; call it directly to feed quotes by hand.
+  update(quote) {
+    if ((this._symbols !== null) && !this._symbols.has(quote.Symbol)) return;
+    if ((quote.Type !== 'Bid') && (quote.Type !== 'Ask')) return;
+    let book = this._books.get(quote.Symbol);
+    if (!book) {
+      book = { marketCenters: new Map() };
+      this._books.set(quote.Symbol, book);
+    }
+    const marketCenter = ((quote.MarketCenter) && (quote.MarketCenter !== "\0") && (quote.MarketCenter.trim().length > 0)) ? quote.MarketCenter : quote.SubProvider;
+    let level = book.marketCenters.get(marketCenter);
+    if (!level) {
+      level = { Bid: null, Ask: null };
+      book.marketCenters.set(marketCenter, level);
+    }
+    //a zero size or price withdraws that side of the market center's quote
+    level[quote.Type] = ((quote.Size > 0) && (quote.Price > 0))
+        ? { Price: quote.Price, Size: quote.Size, MarketCenter: marketCenter, SubProvider: quote.SubProvider, Timestamp: quote.Timestamp }
+        : null;
+    const snapshot = this.getBook(quote.Symbol);
+    this.emit("bookUpdate", {
+      Symbol: quote.Symbol,
+      MarketCenter: marketCenter,
+      Bid: snapshot.Bid,
+      Ask: snapshot.Ask,
+      Spread: snapshot.Spread,
+      Midpoint: snapshot.Midpoint,
+      Timestamp: quote.Timestamp
+    });
+  }
+
+  //The consolidated best bid and ask for a symbol, with the spread, midpoint and the quote of every market center.
+  getBook(symbol) {
+    const book = this._books.get(symbol);
+    if (!book) return null;
+    let bid = null;
+    let ask = null;
+    const marketCenters = {};
+    for (const [marketCenter, level] of book.marketCenters) {
+      marketCenters[marketCenter] = { Bid: level.Bid, Ask: level.Ask };
+      if (level.Bid && ((bid === null) || (level.Bid.Price > bid.Price) || ((level.Bid.Price === bid.Price) && (level.Bid.Size > bid.Size)))) bid = level.Bid;
+      if (level.Ask && ((ask === null) || (level.Ask.Price < ask.Price) || ((level.Ask.Price === ask.Price) && (level.Ask.Size > ask.Size)))) ask = level.Ask;
+    }
+    return {
+      Symbol: symbol,
+      Bid: bid,
+      Ask: ask,
+      Spread: (bid && ask) ? roundPrice(ask.Price - bid.Price) : null,
+      Midpoint: (bid && ask) ? roundPrice((ask.Price + bid.Price) / 2) : null,
+      MarketCenters: marketCenters
+    };
+  }
+
+  getSymbols() {
+    return Array.from(this._books.keys());
+  }
+
+  //Forgets one symbol's book, or every book when no symbol is given. Replay day boundaries clear every book.
+  clear(symbol) {
+    if (symbol === undefined) this._books.clear();
+    else this._books.delete(symbol);
+  }
+
+  //Stops listening to the client.
+  detach() {
+    if (this._client) {
+      this._client.off("quote", this._onQuote);
+      this._client.off("dayBoundary", this._onDayBoundary);
+      this._client = null;
+    }
+  }
+}
+
+const BAR_INTERVAL_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+function parseBarInterval(interval) {
+  if ((typeof interval === "number") && (interval > 0)) return { label: interval + "ms", ms: interval };
+  const match = /^(\d+)(ms|s|m|h)$/.exec(String(interval));
+  if (!match || (Number(match[1]) === 0)) {
+    throw new ConfigError("Intrinio Realtime Client - Bar intervals must be positive milliseconds or strings like '1s', '1m', '5m' or '1h', not '" + interval + "'");
+  }
+  return { label: String(interval), ms: Number(match[1]) * BAR_INTERVAL_UNITS[match[2]] };
+}
+
+//Builds OHLCV bars from a realtime or replay client's trades. Bars are timed by the trades' Timestamp, not the wall
+//clock, so a replay produces the same bars as the live session. A bar is emitted once a trade (for any symbol) is
+//seen past its end. Open/Close only use trades whose condition updates the last sale, High/Low those that update the
+//high/low, and Volume those that update volume. VWAP is weighted over the trades that update the last sale.
+class IntrinioBarBuilder extends IntrinioEventEmitter {
+  constructor(client, options = {}) {
+    super();
+    this._client = client;
+    this._symbols = options.symbols ? new Set([].concat(options.symbols)) : null;
+    this._intervals = (options.intervals || ['1m']).map(interval => {
+      const parsed = parseBarInterval(interval);
+      return { label: parsed.label, ns: BigInt(parsed.ms) * 1000000n, bars: new Map(), end: null };
+    });
+    this.lateTrades = 0;
+    this._onTrade = (trade) => this.addTrade(trade);
+    this._onDayBoundary = () => this.flush();
+    if (client) {
+      client.on("trade", this._onTrade);
+      client.on("dayBoundary", this._onDayBoundary);
+    }
+  }
+
+  //Adds a trade to the open bars. Called for every trade from the client; call it directly to feed trades by hand.
+  addTrade(trade) {
+    if ((this._symbols !== null) && !this._symbols.has(trade.Symbol)) return;
+    const timestamp = BigInt(trade.Timestamp);
+    const { updatesHighLow, updatesLast, updatesVolume } = trade.Conditions || decodeTradeConditions(trade);
+    for (const interval of this._intervals) {
+      const start = timestamp - (timestamp % interval.ns);
+      if ((interval.end !== null) && (timestamp >= interval.end)) {
+        this._closeBars(interval, timestamp);
+      }
+      if ((interval.end === null) || (start + interval.ns > interval.end)) {
+        interval.end = start + interval.ns;
+      }
+      let bar = interval.bars.get(trade.Symbol);
+      if (bar && (bar.Start !== start)) {
+        //a late trade for a bar that was already emitted
+        this.lateTrades++;
+        continue;
+      }
+      if (!bar) {
+        if (start + interval.ns < interval.end) {
+          this.lateTrades++;
+          continue;
+        }
+        bar = { Symbol: trade.Symbol, Interval: interval.label, Start: start, End: start + interval.ns, Open: null, High: null, Low: null, Close: null, Volume: 0, Vwap: null, TradeCount: 0, _openTime: null, _closeTime: null, _notional: 0, _vwapVolume: 0 };
+        interval.bars.set(trade.Symbol, bar);
+      }
+      bar.TradeCount++;
+      if (updatesLast) {
+        //trades can arrive slightly out of order, so open and close follow the timestamps rather than arrival
+        if ((bar._openTime === null) || (timestamp < bar._openTime)) {
+          bar.Open = trade.Price;
+          bar._openTime = timestamp;
+        }
+        if ((bar._closeTime === null) || (timestamp >= bar._closeTime)) {
+          bar.Close = trade.Price;
+          bar._closeTime = timestamp;
+        }
+        bar._notional += trade.Price * trade.Size;
+        bar._vwapVolume += trade.Size;
+      }
+      if (updatesHighLow) {
+        if ((bar.High === null) || (trade.Price > bar.High)) bar.High = trade.Price;
+        if ((bar.Low === null) || (trade.Price < bar.Low)) bar.Low = trade.Price;
+      }
+      if (updatesVolume) bar.Volume += trade.Size;
+    }
+  }
+
+  //Emits every open bar, e.g. at the end of a session.
+  flush() {
+    for (const interval of this._intervals) {
+      this._closeBars(interval, null);
+      interval.end = null;
+    }
+  }
+
+  //Stops listening to the client. Open bars are not emitted; call flush() first if they are needed.
+  detach() {
+    if (this._client) {
+      this._client.off("trade", this._onTrade);
+      this._client.off("dayBoundary", this._onDayBoundary);
+      this._client = null;
+    }
+  }
+
+  _closeBars(interval, timestamp) {
+    for (const [symbol, bar] of interval.bars) {
+      if ((timestamp !== null) && (bar.End > timestamp)) continue;
+      interval.bars.delete(symbol);
+      this.emit("bar", {
+        Symbol: bar.Symbol,
+        Interval: bar.Interval,
+        Start: bar.Start,
+        End: bar.End,
+        Open: bar.Open,
+        High: bar.High,
+        Low: bar.Low,
+        Close: bar.Close,
+        Volume: bar.Volume,
+        Vwap: bar._vwapVolume > 0 ? roundPrice(bar._notional / bar._vwapVolume) : null,
+        TradeCount: bar.TradeCount
+      });
+    }
+  }
+}
+
 if (typeof window === 'undefined') {
-  module.exports = { RealtimeClient: IntrinioRealtime, ReplayClient: IntrinioRealtimeReplayClient, replayToCsv: replayToCsv };
+  //decode workers (config.decodeWorkers) run this file too
+  const workerThreads = require('worker_threads');
+  if (!workerThreads.isMainThread && workerThreads.workerData && workerThreads.workerData.intrinioDecodeWorker) {
+    runDecodeWorker(workerThreads.parentPort);
+  }
+
+  module.exports = {
+    RealtimeClient: IntrinioRealtime,
+    ReplayClient: IntrinioRealtimeReplayClient,
+    CompositeClient: IntrinioCompositeClient,
+    replayToCsv: replayToCsv,
+    IntrinioRealtimeError: IntrinioRealtimeError,
+    ConfigError: ConfigError,
+    AuthError: AuthError,
+    ConnectionError: ConnectionError,
+    ReplayDownloadError: ReplayDownloadError,
+    ParseError: ParseError,
+    QuoteBook: IntrinioQuoteBook,
+    BarBuilder: IntrinioBarBuilder,
+    codec: codec,
+    conditions: conditions
+  };
 }
\ No newline at end of file
@@ -8,7 +8,8 @@ const config = {
     ipAddress: undefined,
     tradesOnly: false,
     isPublicKey: false,
-    delayed: false //set to true if you have realtime access and want to force delayed mode. Otherwise, if you only have delayed, you'll get delayed not matter if you set this or not.
+    delayed: false, //set to true if you have realtime access and want to force delayed mode. Otherwise, if you only have delayed, you'll get delayed not matter if you set this or not.
+    handleSigint: true //stop the client (leaving its channels) on Ctrl+C
 };
 
 // const config = { //replay config
@@ -0,0 +1,75 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RealtimeClient, BarBuilder } = require('../index');
+const { waitUntil, makeTrade, manualConfig, startServer } = require('./helpers');
+
+const OPEN = BigInt(Date.parse("2024-01-08T14:30:00Z")) * 1000000n;
+const MS = 1000000n;
+
+function tradeAt(symbol, price, size, offsetMs, condition = "@") {
+  return Object.assign(makeTrade(symbol, price, OPEN + (BigInt(offsetMs) * MS)), { SubProvider: "UTP", Size: size, Condition: condition });
+}
+
+test("builds OHLCV bars with VWAP, rolls them over and leaves excluded conditions out", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  const builder = new BarBuilder(client, { intervals: ["1s"] });
+  const bars = [];
+  builder.on("bar", bar => bars.push(bar));
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    server.sendTrades([
+      tradeAt("AAPL", 10, 100, 100),
+      tradeAt("AAPL", 12, 300, 200),
+      //an odd lot only counts toward volume
+      tradeAt("AAPL", 50, 50, 300, "I"),
+      tradeAt("AAPL", 9, 100, 400),
+      //arrived out of order, so it's the open rather than the close
+      tradeAt("AAPL", 11, 100, 50),
+      tradeAt("MSFT", 300, 10, 500)
+    ]);
+    //a trade past the end of the first second closes both symbols' bars
+    server.sendTrades(tradeAt("AAPL", 13, 100, 1100));
+    await waitUntil(() => bars.length === 2, 5000, "bars");
+    const aapl = bars.find(bar => bar.Symbol === "AAPL");
+    assert.deepStrictEqual(aapl, {
+      Symbol: "AAPL",
+      Interval: "1s",
+      Start: OPEN,
+      End: OPEN + (1000n * MS),
+      Open: 11,
+      High: 12,
+      Low: 9,
+      Close: 9,
+      Volume: 650,
+      Vwap: 11,
+      TradeCount: 5
+    });
+    assert.strictEqual(bars.find(bar => bar.Symbol === "MSFT").Close, 300);
+
+    //a trade for an emitted bar is late and ignored
+    server.sendTrades(tradeAt("AAPL", 99, 100, 900));
+    await waitUntil(() => builder.lateTrades === 1, 5000, "late trade");
+    builder.flush();
+    assert.strictEqual(bars.length, 3);
+    assert.deepStrictEqual([bars[2].Start, bars[2].Open, bars[2].Volume, bars[2].TradeCount], [OPEN + (1000n * MS), 13, 100, 1]);
+  }
+  finally {
+    builder.detach();
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("leaves OHLC null when none of a bar's trades update the last sale", () => {
+  const builder = new BarBuilder(null, { intervals: [1000] });
+  const bars = [];
+  builder.on("bar", bar => bars.push(bar));
+  builder.addTrade(tradeAt("AAPL", 10, 40, 0, "I"));
+  builder.flush();
+  assert.deepStrictEqual([bars[0].Interval, bars[0].Open, bars[0].High, bars[0].Close, bars[0].Vwap, bars[0].Volume], ["1000ms", null, null, null, null, 40]);
+  assert.throws(() => new BarBuilder(null, { intervals: ["1d"] }), /Bar intervals/);
+});
@@ -0,0 +1,55 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { codec, ParseError } = require('../index');
+const { makeTrade, makeQuote } = require('./helpers');
+
+test("decodes the frames it encodes", () => {
+  const frame = codec.encodeGroup([makeTrade("AAPL", 150.25), makeQuote("Bid", "MSFT", 300.5)]);
+  const messages = codec.decodeGroup(frame);
+  assert.strictEqual(messages.length, 2);
+  assert.strictEqual(messages[0].Type, "Trade");
+  assert.strictEqual(messages[0].Symbol, "AAPL");
+  assert.strictEqual(messages[0].Price, 150.25);
+  assert.strictEqual(messages[0].TotalVolume, 1000);
+  assert.strictEqual(messages[1].Type, "Bid");
+  assert.strictEqual(messages[1].Symbol, "MSFT");
+  assert.strictEqual(messages[1].Price, 300.5);
+});
+
+test("walks a frame's messages and returns its length", () => {
+  const frame = codec.encodeGroup([makeTrade("AAPL", 1), new Uint8Array([9, 4, 0, 0]), makeQuote("Ask", "IBM", 2)]);
+  const seen = [];
+  const length = codec.forEachFrameMessage(frame, (bytes, startIndex, type) => seen.push(type), (error) => assert.fail(error));
+  assert.deepStrictEqual(seen, [0, 9, 1]);
+  assert.strictEqual(length, frame.length);
+  assert.deepStrictEqual(codec.decodeGroup(frame).map(message => message.Type), ["Trade", "Ask"]);
+});
+
+test("reports a truncated frame", () => {
+  const frame = codec.encodeGroup([makeTrade("AAPL", 1), makeTrade("MSFT", 2)]);
+  const truncated = frame.subarray(0, frame.length - 5);
+  const errors = [];
+  const seen = [];
+  const stoppedAt = codec.forEachFrameMessage(truncated, (bytes, startIndex) => seen.push(startIndex), (error) => errors.push(error));
+  assert.deepStrictEqual(seen, [1]);
+  assert.strictEqual(errors.length, 1);
+  assert.ok(errors[0] instanceof ParseError);
+  assert.strictEqual(errors[0].offset, stoppedAt);
+  assert.throws(() => codec.decodeGroup(truncated), ParseError);
+});
+
+test("rejects a condition that runs past the end of its message", () => {
+  const trade = Object.assign(makeTrade("AAPL", 1), { Condition: "@" });
+  const quote = Object.assign(makeQuote("Ask", "MSFT", 2), { Condition: "R" });
+  const frame = codec.encodeGroup([trade, quote]);
+  assert.strictEqual(codec.decodeMessage(frame, 1).Condition, "@");
+  const conditionLengthIndex = 1 + 3 + "AAPL".length + 23;
+  assert.strictEqual(frame[conditionLengthIndex], 1);
+  frame[conditionLengthIndex] = 20; //would read into the quote after it
+  assert.throws(() => codec.decodeMessage(frame, 1), (error) => (error instanceof ParseError) && (error.offset === conditionLengthIndex));
+  const quoteStart = 1 + frame[2];
+  frame[quoteStart + 3 + "MSFT".length + 19] = 200;
+  assert.throws(() => codec.decodeMessage(frame, quoteStart), ParseError);
+});
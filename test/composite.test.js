@@ -0,0 +1,117 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CompositeClient, ConfigError } = require('../index');
+const { sleep, waitUntil, makeTrade, startServer } = require('./helpers');
+
+function compositeConfig(servers, config = {}) {
+  return Object.assign({
+    providers: servers.map((server, index) => ({ name: "P" + (index + 1), provider: "MANUAL", ipAddress: server.ipAddress })),
+    logLevel: "silent",
+    reconnectBackoffsMs: [50],
+    reconnectJitter: 0
+  }, config);
+}
+
+test("merges providers, tags messages and drops duplicates", async () => {
+  const primary = await startServer();
+  const secondary = await startServer();
+  const trades = [];
+  const client = new CompositeClient("key", trade => trades.push(trade), null, compositeConfig([primary, secondary], { dedup: true }));
+  try {
+    const results = await client.join("AAPL");
+    assert.deepStrictEqual(results.map(result => result.provider), ["P1", "P2"]);
+    await waitUntil(() => primary.subscriptions.has("AAPL") && secondary.subscriptions.has("AAPL"), 5000, "joins");
+    primary.sendTrades([makeTrade("AAPL", 1, 1n), makeTrade("AAPL", 2, 2n)]);
+    await waitUntil(() => trades.length === 2, 5000, "primary trades");
+    secondary.sendTrades([makeTrade("AAPL", 1, 1n), makeTrade("AAPL", 3, 3n)]);
+    await waitUntil(() => trades.length === 3, 5000, "secondary trade");
+    await sleep(50);
+    assert.deepStrictEqual(trades.map(trade => trade.Provider + ":" + trade.Price), ["P1:1", "P1:2", "P2:3"]);
+    assert.strictEqual(client.metrics().duplicates, 1);
+  }
+  finally {
+    await client.stop();
+    await primary.stop();
+    await secondary.stop();
+  }
+});
+
+test("moves the channels to the secondary when the primary stays down, and back when it returns", async () => {
+  const primary = await startServer();
+  const secondary = await startServer();
+  const port = primary.port;
+  const client = new CompositeClient("key", null, null, compositeConfig([primary, secondary], { failoverAfterMs: 200, reconnectBackoffsMs: [100] }));
+  const failovers = [];
+  client.on("failover", failover => failovers.push(failover));
+  let restarted = null;
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => primary.subscriptions.size === 2, 5000, "primary joins");
+    assert.strictEqual(client.activeProvider, "P1");
+    assert.strictEqual(secondary.subscriptions.size, 0);
+
+    await primary.stop();
+    await waitUntil(() => failovers.length === 1, 5000, "failover");
+    assert.deepStrictEqual(failovers[0], { from: "P1", to: "P2", channels: 2 });
+    await waitUntil(() => secondary.subscriptions.size === 2, 5000, "secondary joins");
+    assert.strictEqual(client.activeProvider, "P2");
+
+    restarted = await startServer({ port: port });
+    await waitUntil(() => failovers.length === 2, 5000, "failback");
+    assert.strictEqual(client.activeProvider, "P1");
+    await waitUntil(() => (restarted.subscriptions.size === 2) && (secondary.subscriptions.size === 0), 5000, "channels moved back");
+  }
+  finally {
+    await client.stop();
+    if (restarted !== null) await restarted.stop();
+    await secondary.stop();
+  }
+});
+
+test("join doesn't wait for an unreachable primary, whose channels fail over to the secondary", async () => {
+  const unreachable = await startServer();
+  await unreachable.stop();
+  const secondary = await startServer();
+  const client = new CompositeClient("key", null, null, compositeConfig([unreachable, secondary], { failoverAfterMs: 200, reconnectBackoffsMs: [100] }));
+  const failovers = [];
+  client.on("failover", failover => failovers.push(failover));
+  try {
+    const results = await client.join("AAPL");
+    assert.deepStrictEqual(results.map(result => [result.provider, result.status]), [["P1", "queued"]]);
+    await waitUntil(() => failovers.length === 1, 5000, "failover");
+    assert.strictEqual(client.activeProvider, "P2");
+    await waitUntil(() => secondary.subscriptions.has("AAPL"), 5000, "secondary join");
+  }
+  finally {
+    await client.stop();
+    await secondary.stop();
+  }
+});
+
+test("a slow first connect isn't counted as downtime", async () => {
+  const primary = await startServer({ authDelayMs: 400 });
+  const secondary = await startServer();
+  const client = new CompositeClient("key", null, null, compositeConfig([primary, secondary], { failoverAfterMs: 200 }));
+  const failovers = [];
+  client.on("failover", failover => failovers.push(failover));
+  try {
+    await client.join("AAPL");
+    await waitUntil(() => primary.subscriptions.has("AAPL"), 5000, "primary join");
+    await sleep(300);
+    assert.strictEqual(failovers.length, 0);
+    assert.strictEqual(client.activeProvider, "P1");
+    assert.strictEqual(secondary.subscriptions.size, 0);
+  }
+  finally {
+    await client.stop();
+    await primary.stop();
+    await secondary.stop();
+  }
+});
+
+test("rejects a providers setting that isn't a list", () => {
+  assert.throws(() => new CompositeClient("key", null, null, { providers: "IEX", autoConnect: false }), ConfigError);
+  assert.throws(() => new CompositeClient("key", null, null, { providers: [], autoConnect: false }), ConfigError);
+});
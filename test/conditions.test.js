@@ -0,0 +1,22 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { conditions } = require('../index');
+
+test("decodes trade condition codes into their descriptions", () => {
+  const decoded = conditions.decodeTradeConditions({ SubProvider: "UTP", Condition: "@FTI" });
+  assert.deepStrictEqual(decoded.codes, ["@", "F", "T", "I"]);
+  assert.deepStrictEqual(decoded.descriptions, ["@", "F", "T", "I"].map(code => conditions.TRADE_CONDITIONS[code].description));
+  assert.strictEqual(decoded.isIntermarketSweep, true);
+});
+
+test("decodes CBOE One condition flags into their names and descriptions", () => {
+  const flags = conditions.CBOE_ONE_TRADE_CONDITIONS.UpdateLastConsolidated | conditions.CBOE_ONE_TRADE_CONDITIONS.CloseConsolidated;
+  const decoded = conditions.decodeTradeConditions({ SubProvider: "CBOE_ONE", Condition: String(flags) });
+  assert.deepStrictEqual(decoded.codes, ["UpdateLastConsolidated", "CloseConsolidated"]);
+  assert.deepStrictEqual(decoded.descriptions, ["Update Consolidated Last", "Consolidated Close"]);
+  assert.strictEqual(decoded.updatesLast, true);
+  assert.strictEqual(decoded.updatesVolume, false);
+  assert.strictEqual(decoded.isClosingPrint, true);
+});
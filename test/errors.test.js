@@ -0,0 +1,88 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { RealtimeClient, IntrinioRealtimeError, ConfigError, AuthError, ConnectionError, ReplayDownloadError, ParseError, codec } = require('../index');
+const { waitUntil, makeTrade, manualConfig, startServer } = require('./helpers');
+
+test("every error is an IntrinioRealtimeError named after its class, with its own fields", () => {
+  const cause = new Error("socket hang up");
+  const errors = [
+    [new ConfigError("config"), {}],
+    [new AuthError("auth", 401), { status: 401 }],
+    [new ConnectionError("connection", 4001, "kicked", { cause: cause }), { code: 4001, reason: "kicked", cause: cause }],
+    [new ReplayDownloadError("download", 404, "file.bin"), { status: 404, fileName: "file.bin" }],
+    [new ParseError("parse", 12), { offset: 12 }]
+  ];
+  for (const [error, fields] of errors) {
+    assert.ok(error instanceof IntrinioRealtimeError);
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, error.constructor.name);
+    for (const [field, value] of Object.entries(fields)) assert.strictEqual(error[field], value, error.name + "." + field);
+  }
+});
+
+test("a refused auth request fails connect() with an AuthError carrying the status", async () => {
+  const server = await startServer();
+  server.failAuth(401);
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false, maxConnectAttempts: 1 }));
+  const authErrors = [];
+  client.on("authError", error => authErrors.push(error));
+  try {
+    await assert.rejects(client.connect(), error => (error instanceof AuthError) && (error.status === 401));
+    assert.strictEqual(authErrors.length, 1);
+    assert.strictEqual(authErrors[0].status, 401);
+
+    server.failAuth(503);
+    await assert.rejects(client.connect(), error => (error instanceof AuthError) && (error.status === 503));
+    assert.strictEqual(client.metrics().authFailures, 2);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("a websocket that can't be opened fails connect() with a ConnectionError", async () => {
+  //serves tokens, but drops every websocket upgrade
+  const server = http.createServer((request, response) => response.end("token"));
+  await new Promise(fulfill => server.listen(0, "localhost", fulfill));
+  const client = new RealtimeClient("key", null, null, { provider: "MANUAL", ipAddress: "localhost:" + server.address().port, logLevel: "silent", autoConnect: false, maxConnectAttempts: 1 });
+  const errors = [];
+  client.on("error", error => errors.push(error));
+  try {
+    await assert.rejects(client.connect(), error => (error instanceof ConnectionError) && (error.cause instanceof Error));
+    assert.ok(errors[0] instanceof ConnectionError);
+  }
+  finally {
+    await client.stop();
+    await new Promise(fulfill => server.close(fulfill));
+  }
+});
+
+test("reports the close code of a dropped connection and a malformed frame's offset", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  const closes = [];
+  const errors = [];
+  client.on("close", (code, reason) => closes.push([code, reason]));
+  client.on("error", error => errors.push(error));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    server.dropConnections(4001, "kicked");
+    await server.waitFor("join");
+    assert.deepStrictEqual(closes, [[4001, "kicked"]]);
+
+    const frame = codec.encodeGroup([makeTrade("AAPL", 1)]);
+    server.sendFrame(frame.subarray(0, frame.length - 4));
+    await waitUntil(() => errors.length === 1, 5000, "a parse error");
+    assert.ok(errors[0] instanceof ParseError);
+    assert.strictEqual(errors[0].offset, 1);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
@@ -0,0 +1,69 @@
+'use strict'
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { codec } = require('../index');
+const { MockServer } = require('../testkit');
+
+function sleep(ms) {
+  return new Promise(fulfill => setTimeout(fulfill, ms));
+}
+
+//Polls 'predicate' until it returns true, or rejects after 'timeoutMs'.
+async function waitUntil(predicate, timeoutMs = 5000, message = "condition") {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for " + message);
+    await sleep(10);
+  }
+}
+
+function makeTrade(symbol, price, timestamp = 1700000000000000000n) {
+  return { Type: "Trade", Symbol: symbol, Price: price, Size: 100, Timestamp: timestamp, TotalVolume: 1000, SubProvider: "IEX", MarketCenter: "", Condition: "" };
+}
+
+function makeQuote(type, symbol, price, timestamp = 1700000000000000000n) {
+  return { Type: type, Symbol: symbol, Price: price, Size: 300, Timestamp: timestamp, SubProvider: "IEX", MarketCenter: "", Condition: "" };
+}
+
+//A realtime client config that connects to 'server' quickly and quietly.
+function manualConfig(server, config = {}) {
+  return Object.assign({ provider: "MANUAL", ipAddress: server.ipAddress, logLevel: "silent", reconnectBackoffsMs: [50], reconnectJitter: 0 }, config);
+}
+
+async function startServer(options) {
+  const server = new MockServer(options);
+  await server.start();
+  return server;
+}
+
+//Writes trades and quotes to a tick file in a new temporary directory: each message followed by its receive time
+//(epoch nanoseconds, UInt64), which is the message's Timestamp unless 'timeReceived' is set on it.
+function writeTickFile(messages, fileName = "ticks.bin") {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "intrinio-test-")), fileName);
+  const buffers = messages.map(message => {
+    const bytes = codec.encodeMessage(message);
+    const tick = Buffer.alloc(bytes.length + 8);
+    tick.set(bytes);
+    tick.writeBigUInt64LE(BigInt(message.timeReceived || message.Timestamp), bytes.length);
+    return tick;
+  });
+  fs.writeFileSync(filePath, Buffer.concat(buffers));
+  return filePath;
+}
+
+function removeTickFile(filePath) {
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+}
+
+module.exports = {
+  sleep: sleep,
+  waitUntil: waitUntil,
+  makeTrade: makeTrade,
+  makeQuote: makeQuote,
+  manualConfig: manualConfig,
+  startServer: startServer,
+  writeTickFile: writeTickFile,
+  removeTickFile: removeTickFile
+};
@@ -0,0 +1,62 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RealtimeClient, QuoteBook } = require('../index');
+const { waitUntil, makeQuote, manualConfig, startServer } = require('./helpers');
+
+function quoteAt(type, marketCenter, price, size = 300) {
+  return Object.assign(makeQuote(type, "AAPL", price), { SubProvider: "UTP", MarketCenter: marketCenter, Size: size });
+}
+
+test("keeps the best bid, ask and spread across market centers", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  const book = new QuoteBook(client);
+  const updates = [];
+  book.on("bookUpdate", update => updates.push(update));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    server.sendQuotes([
+      quoteAt("Bid", "Q", 100.01),
+      quoteAt("Ask", "Q", 100.05),
+      quoteAt("Bid", "P", 100.02, 100),
+      quoteAt("Ask", "P", 100.04, 200),
+      //an equal price at a larger size wins
+      quoteAt("Ask", "Z", 100.04, 500)
+    ]);
+    await waitUntil(() => updates.length === 5, 5000, "book updates");
+    assert.strictEqual(updates[0].Spread, null);
+    assert.strictEqual(updates[0].Midpoint, null);
+    const aapl = book.getBook("AAPL");
+    assert.deepStrictEqual([aapl.Bid.Price, aapl.Bid.MarketCenter], [100.02, "P"]);
+    assert.deepStrictEqual([aapl.Ask.Price, aapl.Ask.Size, aapl.Ask.MarketCenter], [100.04, 500, "Z"]);
+    assert.strictEqual(aapl.Spread, 0.02);
+    assert.strictEqual(aapl.Midpoint, 100.03);
+    assert.deepStrictEqual(Object.keys(aapl.MarketCenters).sort(), ["P", "Q", "Z"]);
+    assert.deepStrictEqual(updates[4], { Symbol: "AAPL", MarketCenter: "Z", Bid: aapl.Bid, Ask: aapl.Ask, Spread: 0.02, Midpoint: 100.03, Timestamp: aapl.Ask.Timestamp });
+
+    //a zero size withdraws that market center's side
+    server.sendQuotes(quoteAt("Bid", "P", 100.02, 0));
+    await waitUntil(() => updates.length === 6, 5000, "withdrawal");
+    assert.deepStrictEqual([book.getBook("AAPL").Bid.Price, book.getBook("AAPL").Bid.MarketCenter], [100.01, "Q"]);
+    assert.strictEqual(book.getBook("AAPL").Spread, 0.03);
+    assert.strictEqual(book.getBook("MSFT"), null);
+  }
+  finally {
+    book.detach();
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("keys quotes without a market center by their sub-provider and only books the requested symbols", () => {
+  const book = new QuoteBook(null, { symbols: ["AAPL"] });
+  book.update(makeQuote("Bid", "AAPL", 10));
+  book.update(makeQuote("Ask", "MSFT", 20));
+  assert.deepStrictEqual(book.getSymbols(), ["AAPL"]);
+  assert.deepStrictEqual(Object.keys(book.getBook("AAPL").MarketCenters), ["IEX"]);
+  book.clear("AAPL");
+  assert.strictEqual(book.getBook("AAPL"), null);
+});
@@ -0,0 +1,513 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RealtimeClient, ConnectionError, ParseError, codec } = require('../index');
+const { sleep, waitUntil, makeTrade, makeQuote, manualConfig, startServer } = require('./helpers');
+
+test("connects, joins and receives trades and quotes", async () => {
+  const server = await startServer();
+  const trades = [];
+  const quotes = [];
+  const client = new RealtimeClient("key", trade => trades.push(trade), quote => quotes.push(quote), manualConfig(server));
+  try {
+    await client.connect();
+    assert.strictEqual(client.state, "open");
+    await client.join("AAPL");
+    await server.waitFor("join", channel => channel === "AAPL");
+    server.sendTrades([makeTrade("AAPL", 150.25), makeTrade("MSFT", 300)]);
+    server.sendQuotes(makeQuote("Bid", "AAPL", 150.2));
+    await waitUntil(() => (trades.length === 1) && (quotes.length === 1), 5000, "trade and quote");
+    assert.strictEqual(trades[0].Symbol, "AAPL");
+    assert.strictEqual(trades[0].Price, 150.25);
+    assert.strictEqual(trades[0].Size, 100);
+    assert.strictEqual(trades[0].Timestamp, 1700000000000000000n);
+    assert.strictEqual(quotes[0].Type, "Bid");
+    assert.strictEqual(quotes[0].Price, 150.2);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("retries a failed auth request", async () => {
+  const server = await startServer();
+  server.failAuth(500, 1);
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false }));
+  try {
+    await client.connect();
+    assert.strictEqual(server.authRequests, 2);
+    assert.strictEqual(client.state, "open");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("stop() leaves every channel and closes the connection", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    await client.stop();
+    await waitUntil(() => server.connectionCount === 0, 5000, "disconnect");
+    assert.deepStrictEqual(server.leaves.map(leave => leave.channel).sort(), ["AAPL", "MSFT"]);
+    assert.strictEqual(client.state, "closed");
+  }
+  finally {
+    await server.stop();
+  }
+});
+
+test("join() and leave() after stop() don't reconnect", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  try {
+    await client.join("MSFT");
+    await client.stop();
+    await waitUntil(() => server.connectionCount === 0, 5000, "disconnect");
+    await assert.rejects(client.join("AAPL"), ConnectionError);
+    client.leave("MSFT");
+    await assert.rejects(client.ready(), ConnectionError);
+    await sleep(200);
+    assert.strictEqual(server.connectionCount, 0);
+    assert.strictEqual(client.state, "closed");
+    assert.strictEqual(server.joins.filter(join => join.channel === "AAPL").length, 0);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("connect() after stop() starts a new session rather than a reconnect", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false }));
+  let reconnected = 0;
+  client.on("reconnected", () => reconnected++);
+  try {
+    await client.connect();
+    await client.stop();
+    await client.connect();
+    assert.strictEqual(client.state, "open");
+    assert.strictEqual(reconnected, 0);
+    assert.strictEqual(client.metrics().reconnects, 0);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("stop() during auth cancels the connection", async () => {
+  const server = await startServer({ authDelayMs: 300 });
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false }));
+  try {
+    const connecting = client.connect();
+    await waitUntil(() => client.state === "authenticating", 5000, "authenticating");
+    await client.stop();
+    assert.strictEqual(client.state, "closed");
+    await assert.rejects(connecting, /stopping/);
+    await sleep(500);
+    assert.strictEqual(client.state, "closed");
+    assert.strictEqual(server.connectionCount, 0);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("join waits for the server's reply and drops rejected channels", async () => {
+  const server = await startServer({ acknowledgeJoins: true });
+  server.rejectJoins("BAD", "unknown symbol");
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { joinAckTimeoutMs: 2000 }));
+  const serverErrors = [];
+  client.on("serverError", serverMessage => serverErrors.push(serverMessage));
+  try {
+    const results = await client.join(["AAPL", "BAD"]);
+    assert.deepStrictEqual(results.map(result => [result.symbol, result.status]), [["AAPL", "accepted"], ["BAD", "rejected"]]);
+    assert.strictEqual(results[1].message, "unknown symbol");
+    assert.deepStrictEqual(serverErrors.map(serverMessage => serverMessage.symbol), ["BAD"]);
+    assert.strictEqual((await client.join("AAPL"))[0].action, "none");
+    assert.strictEqual((await client.join("BAD"))[0].action, "join");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("text that isn't a channel reply acknowledges nothing", async () => {
+  const server = await startServer();
+  server.on("join", channel => server.sendText("error: could not join " + channel));
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { joinAckTimeoutMs: 300 }));
+  const serverMessages = [];
+  client.on("serverMessage", (text, serverMessage) => serverMessages.push(serverMessage));
+  try {
+    const results = await client.join("AAPL");
+    assert.strictEqual(results[0].status, "sent");
+    assert.deepStrictEqual(serverMessages.map(serverMessage => [serverMessage.type, serverMessage.symbol]), [["info", null]]);
+    assert.strictEqual((await client.join("AAPL"))[0].action, "none");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("reconnects after a dropped connection and rejoins its channels", async () => {
+  const server = await startServer();
+  const trades = [];
+  const client = new RealtimeClient("key", trade => trades.push(trade), null, manualConfig(server));
+  try {
+    await client.join("AAPL", true);
+    await server.waitFor("join");
+    const reconnected = new Promise(fulfill => client.once("reconnected", fulfill));
+    server.dropConnections(1011, "restart");
+    await reconnected;
+    await waitUntil(() => server.subscriptions.get("AAPL") === true, 5000, "rejoin");
+    assert.strictEqual(client.metrics().reconnects, 1);
+    server.sendTrades(makeTrade("AAPL", 10));
+    await waitUntil(() => trades.length === 1, 5000, "trade after reconnect");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("join and leave while reconnecting are sent once the connection is back", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { reconnectBackoffsMs: [300] }));
+  try {
+    await client.join(["AAPL", "IBM"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    const reconnecting = new Promise(fulfill => client.once("reconnecting", fulfill));
+    server.dropConnections(1011, "restart");
+    await reconnecting;
+    client.leave("IBM");
+    await client.join("TSLA");
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "rejoin");
+    assert.deepStrictEqual(Array.from(server.subscriptions.keys()).sort(), ["AAPL", "TSLA"]);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("reconnects a connection that goes silent and rejoins its channels", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { staleTimeoutMs: 200, marketHours: null }));
+  const stale = [];
+  client.on("stale", event => stale.push(event));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    //messages keep the connection alive
+    for (let i = 0; i < 6; i++) {
+      server.sendTrades(makeTrade("AAPL", 150));
+      await sleep(50);
+    }
+    assert.strictEqual(stale.length, 0);
+    await server.waitFor("join", channel => channel === "AAPL");
+    assert.strictEqual(stale[0].reason, "inactivity");
+    assert.ok(stale[0].silentMs >= 200);
+    await waitUntil(() => client.state === "open", 5000, "reconnect");
+    assert.strictEqual(client.metrics().reconnects, 1);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("reconnects when a heartbeat ping goes unanswered", async () => {
+  const server = await startServer({ answerPings: false });
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { heartbeatIntervalMs: 100 }));
+  const stale = [];
+  client.on("stale", event => stale.push(event));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    await server.waitFor("join", channel => channel === "AAPL");
+    assert.strictEqual(stale[0].reason, "heartbeat");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+
+  const answering = await startServer();
+  const healthy = new RealtimeClient("key", null, null, manualConfig(answering, { heartbeatIntervalMs: 50 }));
+  try {
+    await healthy.connect();
+    await sleep(400);
+    assert.strictEqual(healthy.metrics().reconnects, 0);
+    assert.strictEqual(answering.connectionCount, 1);
+  }
+  finally {
+    await healthy.stop();
+    await answering.stop();
+  }
+});
+
+test("delivers each frame to onBatch as typed columns", async () => {
+  const server = await startServer();
+  const batches = [];
+  let tradeEvents = 0;
+  const onBatch = batch => batches.push(batch);
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { onBatch: onBatch }));
+  client.on("trade", () => tradeEvents++);
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    server.sendTrades([makeTrade("AAPL", 150.25, 1700000000000000001n), makeTrade("MSFT", 300.5, 1700000000000000002n)]);
+    server.sendQuotes([makeQuote("Ask", "AAPL", 150.3, 1700000000000000003n), makeQuote("Bid", "AAPL", 150.2, 1700000000000000004n)]);
+    await waitUntil(() => batches.length === 2, 5000, "batches");
+    assert.deepStrictEqual(batches.map(batch => batch.length), [2, 2]);
+    const [trades, quotes] = batches;
+    assert.deepStrictEqual(Array.from(trades.symbolIndex, index => trades.symbols[index]), ["AAPL", "MSFT"]);
+    assert.deepStrictEqual(trades.type, new Uint8Array([0, 0]));
+    assert.deepStrictEqual(Array.from(trades.subProvider, code => codec.getSubProvider(code)), ["IEX", "IEX"]);
+    assert.deepStrictEqual(trades.price, new Float64Array([150.25, 300.5]));
+    assert.deepStrictEqual(trades.size, new Uint32Array([100, 100]));
+    assert.deepStrictEqual(trades.timestamp, new BigUint64Array([1700000000000000001n, 1700000000000000002n]));
+    assert.deepStrictEqual(trades.totalVolume, new Uint32Array([1000, 1000]));
+    //the dictionary keeps each symbol's index
+    assert.deepStrictEqual(Array.from(quotes.symbolIndex), [trades.symbolIndex[0], trades.symbolIndex[0]]);
+    assert.deepStrictEqual(quotes.type, new Uint8Array([1, 2]));
+    assert.deepStrictEqual(quotes.price, new Float64Array([150.3, 150.2]));
+    assert.deepStrictEqual(quotes.timestamp, new BigUint64Array([1700000000000000003n, 1700000000000000004n]));
+    assert.deepStrictEqual(quotes.totalVolume, new Uint32Array([0, 0]));
+    assert.strictEqual(tradeEvents, 0);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("collects frames into one batch per batchWindowMs", async () => {
+  const server = await startServer();
+  const lengths = [];
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { onBatch: batch => lengths.push(batch.length), batchWindowMs: 300 }));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    server.sendTrades(makeTrade("AAPL", 1));
+    server.sendTrades([makeTrade("AAPL", 2), makeTrade("AAPL", 3)]);
+    server.sendQuotes(makeQuote("Bid", "AAPL", 1));
+    await waitUntil(() => lengths.length === 1, 5000, "a batch");
+    assert.deepStrictEqual(lengths, [4]);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("filters what is delivered and routes symbols to their handlers", async () => {
+  const server = await startServer();
+  const delivered = [];
+  const client = new RealtimeClient("key", trade => delivered.push(trade.Symbol + ":" + trade.Price), quote => delivered.push(quote.Symbol + ":" + quote.Type), manualConfig(server, {
+    snapshots: true,
+    filter: { symbols: ["AA*", "MSFT", /^GOO/], exclude: "AAL", minNotional: 1000 }
+  }));
+  const aapl = [];
+  const tech = [];
+  const stopAapl = client.onSymbol("AAPL", { onTrade: trade => aapl.push("trade:" + trade.Price), onQuote: quote => aapl.push(quote.Type) });
+  client.onSymbol(["MSFT", "GOO?"], message => tech.push(message.Symbol));
+  try {
+    await client.join("$lobby");
+    await server.waitFor("join");
+    server.sendTrades([
+      makeTrade("AAPL", 150),
+      makeTrade("AAL", 15),
+      makeTrade("IBM", 140),
+      //100 shares for 5 is below minNotional
+      makeTrade("AAPL", 5),
+      makeTrade("MSFT", 300),
+      makeTrade("GOOG", 140),
+      makeTrade("GOOGL", 141)
+    ]);
+    server.sendQuotes(makeQuote("Bid", "AAPL", 149.9));
+    await waitUntil(() => delivered.length === 5, 5000, "filtered messages");
+    assert.deepStrictEqual(delivered, ["AAPL:150", "MSFT:300", "GOOG:140", "GOOGL:141", "AAPL:Bid"]);
+    assert.deepStrictEqual(aapl, ["trade:150", "Bid"]);
+    assert.deepStrictEqual(tech, ["MSFT", "GOOG"]);
+    //snapshots still see every message
+    assert.strictEqual(client.getSnapshot("IBM").LastTrade.Price, 140);
+
+    stopAapl();
+    client.setFilter({ subProviders: ["UTP"] });
+    server.sendTrades([makeTrade("AAPL", 151), Object.assign(makeTrade("MSFT", 301), { SubProvider: "UTP" })]);
+    await waitUntil(() => delivered.length === 6, 5000, "the new filter");
+    assert.strictEqual(delivered[5], "MSFT:301");
+    client.setFilter(null);
+    server.sendTrades(makeTrade("AAPL", 152));
+    await waitUntil(() => delivered.length === 7, 5000, "no filter");
+    assert.deepStrictEqual(aapl, ["trade:150", "Bid"]);
+    assert.deepStrictEqual(tech, ["MSFT", "GOOG", "MSFT"]);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("writes formatted log lines to config.logger at or above config.logLevel", async () => {
+  const server = await startServer();
+  const lines = [];
+  const logger = {};
+  for (const level of ["debug", "info", "warn", "error"]) logger[level] = message => lines.push([level, message]);
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { logger: logger, logLevel: "warn" }));
+  try {
+    await client.join("$lobby");
+    await client.join("AAPL");
+    assert.deepStrictEqual(lines, [["warn", "Intrinio Realtime Client - $lobby channel already joined. Other channels not necessary."]]);
+  }
+  finally {
+    await client.stop();
+  }
+
+  //every argument is formatted into one string, and a logger with only log() gets every level
+  const logged = [];
+  const verbose = new RealtimeClient("key", null, null, manualConfig(server, { logger: { log: message => logged.push(message) }, logLevel: "debug" }));
+  try {
+    await verbose.join("AAPL", true);
+    assert.ok(logged.includes("Intrinio Realtime Client - Joining channel: AAPL (trades only = true)"), logged.join("\n"));
+    assert.ok(logged.every(message => typeof message === "string"));
+  }
+  finally {
+    await verbose.stop();
+    await server.stop();
+  }
+  assert.ok(logged.includes("Intrinio Realtime Client - Websocket closed (code: 1000)"), logged.join("\n"));
+  assert.throws(() => new RealtimeClient("key", null, null, manualConfig(server, { logLevel: "verbose", autoConnect: false })), { name: "ConfigError", message: /logLevel/ });
+});
+
+test("clients keep their own configs", async () => {
+  const server = await startServer();
+  const first = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false, tradesOnly: true, snapshots: true }));
+  const second = new RealtimeClient("key", null, null, manualConfig(server, { autoConnect: false }));
+  try {
+    assert.strictEqual(first._config.tradesOnly, true);
+    assert.strictEqual(second._config.tradesOnly, false);
+    assert.throws(() => second.getSnapshot("AAPL"), { name: "ConfigError" });
+    assert.strictEqual(process.listenerCount("SIGINT"), 0);
+  }
+  finally {
+    await first.stop();
+    await second.stop();
+    await server.stop();
+  }
+});
+
+test("keeps the last trade, bid and ask per symbol and forgets a symbol when it is left", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { snapshots: true }));
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    server.sendTrades([makeTrade("AAPL", 150), makeTrade("AAPL", 151), makeTrade("MSFT", 300)]);
+    server.sendQuotes([makeQuote("Bid", "AAPL", 150.9), makeQuote("Ask", "AAPL", 151.1)]);
+    await waitUntil(() => (client.getSnapshot("AAPL") !== null) && (client.getSnapshot("AAPL").Ask !== null), 5000, "snapshots");
+    const aapl = client.getSnapshot("AAPL");
+    assert.deepStrictEqual([aapl.Symbol, aapl.LastTrade.Price, aapl.Bid.Price, aapl.Ask.Price, aapl.TotalVolume], ["AAPL", 151, 150.9, 151.1, 1000]);
+    assert.deepStrictEqual(client.getAllSnapshots().map(snapshot => snapshot.Symbol).sort(), ["AAPL", "MSFT"]);
+    assert.strictEqual(client.getSnapshot("MSFT").Bid, null);
+    assert.strictEqual(client.getSnapshot("IBM"), null);
+
+    client.leave("AAPL");
+    assert.strictEqual(client.getSnapshot("AAPL"), null);
+    assert.deepStrictEqual(client.getAllSnapshots().map(snapshot => snapshot.Symbol), ["MSFT"]);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("leaving the firehose forgets the snapshots of symbols that aren't joined on their own", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { snapshots: true }));
+  try {
+    await client.join(["$lobby", "AAPL"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    server.sendTrades([makeTrade("AAPL", 150), makeTrade("MSFT", 300)]);
+    await waitUntil(() => client.getAllSnapshots().length === 2, 5000, "snapshots");
+    //AAPL is still covered by the firehose
+    client.leave("AAPL");
+    assert.notStrictEqual(client.getSnapshot("AAPL"), null);
+    await client.join("AAPL");
+    client.leave("$lobby");
+    assert.deepStrictEqual(client.getAllSnapshots().map(snapshot => snapshot.Symbol), ["AAPL"]);
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("frames lost with a dead decode worker are delivered as parse errors and a new worker takes over", async () => {
+  //Workers are created through worker_threads, so a subclass can watch them and kill one in place of a given batch
+  const workerThreads = require('worker_threads');
+  const OriginalWorker = workerThreads.Worker;
+  const workers = [];
+  let killNextBatch = false;
+  workerThreads.Worker = class extends OriginalWorker {
+    constructor(...args) {
+      super(...args);
+      this.batches = 0;
+      this.exited = false;
+      this.once("exit", () => this.exited = true);
+      workers.push(this);
+    }
+
+    postMessage(...args) {
+      if (killNextBatch) {
+        killNextBatch = false;
+        this.terminate();
+        return;
+      }
+      this.batches++;
+      super.postMessage(...args);
+    }
+  };
+  const server = await startServer();
+  const trades = [];
+  const client = new RealtimeClient("key", trade => trades.push(trade.Price), null, manualConfig(server, { decodeWorkers: 1 }));
+  const errors = [];
+  client.on("error", error => errors.push(error));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    server.sendTrades(makeTrade("AAPL", 1));
+    await waitUntil(() => trades.length === 1, 5000, "first trade");
+
+    killNextBatch = true;
+    server.sendTrades([makeTrade("AAPL", 2), makeTrade("AAPL", 3)]);
+    await waitUntil(() => errors.length === 1, 5000, "parse error for the lost batch");
+    assert.ok(errors[0] instanceof ParseError);
+    assert.strictEqual(client.metrics().parseErrors, 1);
+
+    server.sendTrades(makeTrade("AAPL", 4));
+    await waitUntil(() => trades.length === 2, 5000, "trade after the worker died");
+    server.sendTrades(makeTrade("AAPL", 5));
+    await waitUntil(() => trades.length === 3, 5000, "second trade after the worker died");
+    assert.deepStrictEqual(trades, [1, 4, 5]);
+    assert.strictEqual(workers.length, 2);
+    assert.deepStrictEqual(workers.map(worker => worker.exited), [true, false]);
+    assert.strictEqual(workers[1].batches, 2);
+  }
+  finally {
+    workerThreads.Worker = OriginalWorker;
+    await client.stop();
+    await server.stop();
+  }
+});
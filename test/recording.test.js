@@ -0,0 +1,62 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RealtimeClient, ReplayClient } = require('../index');
+const { waitUntil, makeTrade, manualConfig, startServer } = require('./helpers');
+
+test("records received messages to a tick file the replay client can read", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "intrinio-test-"));
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server, { record: path.join(directory, "ticks.bin") }));
+  const replayed = [];
+  let replay = null;
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    server.sendTrades([makeTrade("AAPL", 1), makeTrade("AAPL", 2)]);
+    await waitUntil(() => client.metrics().trades === 2, 5000, "trades");
+    const filePaths = await client.stopRecording();
+    assert.deepStrictEqual(filePaths, [path.join(directory, "ticks.bin")]);
+    replay = new ReplayClient(null, trade => replayed.push(trade.Price), null, { replayFiles: filePaths, logLevel: "silent" });
+    replay.join("AAPL");
+    await waitUntil(() => replayed.length === 2, 5000, "replayed trades");
+    assert.deepStrictEqual(replayed, [1, 2]);
+  }
+  finally {
+    if (replay !== null) await replay.stop();
+    await client.stop();
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test("stops recording and emits 'error' when the tick file cannot be written", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "intrinio-test-"));
+  const notAFile = path.join(directory, "ticks");
+  fs.mkdirSync(notAFile);
+  const server = await startServer();
+  const trades = [];
+  const client = new RealtimeClient("key", trade => trades.push(trade), null, manualConfig(server));
+  const errors = [];
+  client.on("error", error => errors.push(error));
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    client.startRecording(notAFile);
+    server.sendTrades(makeTrade("AAPL", 1));
+    await waitUntil(() => errors.length === 1, 5000, "recording error");
+    assert.strictEqual(errors[0].code, "EISDIR");
+    assert.deepStrictEqual(await client.stopRecording(), []);
+    server.sendTrades(makeTrade("AAPL", 2));
+    await waitUntil(() => trades.length === 2, 5000, "trades after the error");
+  }
+  finally {
+    await client.stop();
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,246 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ReplayClient, ConfigError } = require('../index');
+const { sleep, waitUntil, makeTrade, makeQuote, writeTickFile, removeTickFile } = require('./helpers');
+
+const OPEN = BigInt(Date.parse("2024-01-08T14:30:00Z")) * 1000000n;
+const SECOND = 1000000000n;
+
+test("replays a local tick file for the joined channels", async () => {
+  const filePath = writeTickFile([
+    makeTrade("AAPL", 100, OPEN),
+    makeTrade("MSFT", 300, OPEN + SECOND),
+    makeQuote("Ask", "AAPL", 100.5, OPEN + (2n * SECOND)),
+    makeTrade("AAPL", 101, OPEN + (3n * SECOND))
+  ]);
+  const trades = [];
+  const quotes = [];
+  const client = new ReplayClient(null, trade => trades.push(trade), quote => quotes.push(quote), { replayFiles: filePath, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => trades.length === 2, 5000, "replayed trades");
+    assert.deepStrictEqual(trades.map(trade => trade.Price), [100, 101]);
+    assert.strictEqual(quotes.length, 1);
+    assert.strictEqual(quotes[0].Type, "Ask");
+    assert.strictEqual(client.metrics().trades, 2);
+    //each tick is replayed as a one message frame: the count byte and the message, without the 8 byte receive time
+    assert.strictEqual(client.metrics().bytesReceived, fs.statSync(filePath).size - (4 * 8) + 4);
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("replays trades only for a trades-only channel", async () => {
+  const filePath = writeTickFile([
+    makeQuote("Bid", "AAPL", 99.5, OPEN),
+    makeTrade("AAPL", 100, OPEN + SECOND)
+  ]);
+  const trades = [];
+  const quotes = [];
+  const client = new ReplayClient(null, null, null, { replayFiles: filePath, logLevel: "silent" });
+  client.on("trade", trade => trades.push(trade));
+  client.on("quote", quote => quotes.push(quote));
+  try {
+    client.join("AAPL", true);
+    await waitUntil(() => trades.length === 1, 5000, "replayed trade");
+    assert.strictEqual(quotes.length, 0);
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("paces the replay by replaySpeed", async () => {
+  const filePath = writeTickFile([0n, 1n, 2n, 3n].map(seconds => makeTrade("AAPL", 100 + Number(seconds), OPEN + (seconds * SECOND))));
+  const arrivals = [];
+  const client = new ReplayClient(null, () => arrivals.push(Date.now()), null, { replayFiles: filePath, replaySpeed: 10, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => arrivals.length === 2, 5000, "two trades");
+    //a tenth of the recorded second between ticks
+    assert.ok(arrivals[1] - arrivals[0] >= 80, "replayed too fast: " + (arrivals[1] - arrivals[0]) + " ms");
+    client.setReplaySpeed(100);
+    await waitUntil(() => arrivals.length === 4, 5000, "the rest");
+    assert.ok(arrivals[3] - arrivals[2] < 80, "replayed too slowly: " + (arrivals[3] - arrivals[2]) + " ms");
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("pause() holds delivery until resume(), without a burst afterwards", async () => {
+  const filePath = writeTickFile([0n, 1n, 2n].map(seconds => makeTrade("AAPL", 100 + Number(seconds), OPEN + (seconds * SECOND))));
+  const arrivals = [];
+  let client = null;
+  client = new ReplayClient(null, (trade) => {
+    arrivals.push(Date.now());
+    if (arrivals.length === 1) client.pause();
+  }, null, { replayFiles: filePath, replaySpeed: 10, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => arrivals.length === 1, 5000, "first trade");
+    await sleep(300);
+    assert.strictEqual(arrivals.length, 1);
+    assert.strictEqual(client.isPaused, true);
+    const resumed = Date.now();
+    client.resume();
+    assert.strictEqual(client.isPaused, false);
+    await waitUntil(() => arrivals.length === 3, 5000, "the rest");
+    //pacing restarts from the trade after the pause rather than catching up on the time spent paused
+    assert.ok(arrivals[1] - resumed < 80, "resume() waited: " + (arrivals[1] - resumed) + " ms");
+    assert.ok(arrivals[2] - arrivals[1] >= 80, "burst after resume: " + (arrivals[2] - arrivals[1]) + " ms");
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("seek() skips ahead to a time of day without delivering what's in between", async () => {
+  const filePath = writeTickFile([0n, 1n, 2n, 3n].map(seconds => makeTrade("AAPL", 100 + Number(seconds), OPEN + (seconds * SECOND))));
+  const trades = [];
+  let client = null;
+  client = new ReplayClient(null, (trade) => {
+    trades.push(trade.Price);
+    if (trades.length === 1) client.pause();
+  }, null, { replayFiles: filePath, replayAsIfLive: true, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => trades.length === 1, 5000, "first trade");
+    //09:30 US/Eastern is OPEN
+    const seeking = client.seek("09:30:02");
+    client.resume();
+    const started = Date.now();
+    await seeking;
+    await waitUntil(() => trades.length === 3, 5000, "the trades after the target");
+    assert.deepStrictEqual(trades, [100, 102, 103]);
+    //the skipped seconds weren't waited for
+    assert.ok(Date.now() - started < 1900, "seek() waited for the skipped ticks");
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("prometheusMetrics() reports the metrics in the Prometheus text format", async () => {
+  const filePath = writeTickFile([
+    Object.assign(makeTrade("AAPL", 100, OPEN), { timeReceived: OPEN + 4000000n }),
+    Object.assign(makeQuote("Bid", "AAPL", 99.5, OPEN), { SubProvider: "UTP", timeReceived: OPEN + 2000000n })
+  ]);
+  let received = 0;
+  const client = new ReplayClient(null, () => received++, () => received++, { replayFiles: filePath, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => received === 2, 5000, "replayed messages");
+    const labels = 'desk="a \\"b\\"\\\\c"';
+    assert.strictEqual(client.prometheusMetrics({ prefix: "replay_", labels: { desk: 'a "b"\\c' } }), [
+      '# HELP replay_frames_total Binary frames received.',
+      '# TYPE replay_frames_total counter',
+      'replay_frames_total{' + labels + '} 2',
+      '# HELP replay_bytes_received_total Bytes received.',
+      '# TYPE replay_bytes_received_total counter',
+      'replay_bytes_received_total{' + labels + '} 60',
+      '# HELP replay_trades_total Trades received, by subprovider.',
+      '# TYPE replay_trades_total counter',
+      'replay_trades_total{' + labels + ',subprovider="IEX"} 1',
+      '# HELP replay_quotes_total Quotes received, by subprovider.',
+      '# TYPE replay_quotes_total counter',
+      'replay_quotes_total{' + labels + ',subprovider="UTP"} 1',
+      '# HELP replay_reconnects_total Reconnects started after the connection dropped.',
+      '# TYPE replay_reconnects_total counter',
+      'replay_reconnects_total{' + labels + '} 0',
+      '# HELP replay_auth_failures_total Auth requests refused by the server.',
+      '# TYPE replay_auth_failures_total counter',
+      'replay_auth_failures_total{' + labels + '} 0',
+      '# HELP replay_parse_errors_total Messages that could not be parsed.',
+      '# TYPE replay_parse_errors_total counter',
+      'replay_parse_errors_total{' + labels + '} 0',
+      '# HELP replay_subscribed_channels Channels currently joined.',
+      '# TYPE replay_subscribed_channels gauge',
+      'replay_subscribed_channels{' + labels + '} 1',
+      '# HELP replay_feed_latency_seconds Receive time minus message timestamp.',
+      '# TYPE replay_feed_latency_seconds gauge',
+      //the average is a moving average, weighted toward the last thousand messages
+      'replay_feed_latency_seconds{' + labels + ',stat="last"} 0.002',
+      'replay_feed_latency_seconds{' + labels + ',stat="average"} 0.003998',
+      'replay_feed_latency_seconds{' + labels + ',stat="max"} 0.004',
+      ''
+    ].join("\n"));
+    //the default prefix, without labels
+    assert.ok(client.prometheusMetrics().includes("\nintrinio_realtime_trades_total{subprovider=\"IEX\"} 1\n"));
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("stop() ends a paced replay while it waits for the next tick", async () => {
+  const filePath = writeTickFile([
+    makeTrade("AAPL", 100, OPEN),
+    makeTrade("AAPL", 101, OPEN + (60n * SECOND))
+  ]);
+  const trades = [];
+  const client = new ReplayClient(null, trade => trades.push(trade), null, { replayFiles: filePath, replayAsIfLive: true, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => trades.length === 1, 5000, "first trade");
+    const started = Date.now();
+    await client.stop();
+    assert.ok(Date.now() - started < 1000, "stop() waited for the next tick");
+    await sleep(100);
+    assert.strictEqual(trades.length, 1);
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("stop() releases a paused replay and a pending seek", async () => {
+  const filePath = writeTickFile([
+    makeTrade("AAPL", 100, OPEN),
+    makeTrade("AAPL", 101, OPEN + SECOND),
+    makeTrade("AAPL", 102, OPEN + (2n * SECOND))
+  ]);
+  const trades = [];
+  let client = null;
+  client = new ReplayClient(null, (trade) => {
+    trades.push(trade);
+    client.pause();
+  }, null, { replayFiles: filePath, logLevel: "silent" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => trades.length === 1, 5000, "first trade");
+    assert.strictEqual(client.isPaused, true);
+    const seeking = client.seek(OPEN + (2n * SECOND));
+    await client.stop();
+    await seeking;
+    assert.strictEqual(client.isPaused, false);
+    await sleep(100);
+    assert.deepStrictEqual(trades.map(trade => trade.Price), [100]);
+  }
+  finally {
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("throws a ConfigError from the constructor for replay files that don't exist", () => {
+  assert.throws(() => new ReplayClient(null, null, null, { replayFiles: "/nonexistent/ticks.bin", logLevel: "silent" }), ConfigError);
+  const filePath = writeTickFile([makeTrade("AAPL", 100, OPEN)]);
+  try {
+    assert.throws(() => new ReplayClient(null, null, null, { replayFiles: [filePath, filePath + ".missing"], logLevel: "silent" }), ConfigError);
+  }
+  finally {
+    removeTickFile(filePath);
+  }
+});
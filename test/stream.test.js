@@ -0,0 +1,112 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RealtimeClient, ReplayClient } = require('../index');
+const { sleep, waitUntil, makeTrade, makeQuote, manualConfig, startServer, writeTickFile, removeTickFile } = require('./helpers');
+
+const OPEN = BigInt(Date.parse("2024-01-08T14:30:00Z")) * 1000000n;
+const SECOND = 1000000000n;
+
+function tradesAtPrices(prices) {
+  return prices.map((price, i) => makeTrade("AAPL", price, OPEN + (BigInt(i) * SECOND)));
+}
+
+async function take(stream, count) {
+  const messages = [];
+  for await (const message of stream) {
+    messages.push(message);
+    if (messages.length === count) break;
+  }
+  return messages;
+}
+
+test("streams only the requested symbols and types", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  const stream = client.stream({ symbols: ["AAPL"], types: ["trade"] });
+  try {
+    await client.join(["AAPL", "MSFT"]);
+    await waitUntil(() => server.subscriptions.size === 2, 5000, "joins");
+    server.sendQuotes(makeQuote("Bid", "AAPL", 1));
+    server.sendTrades([makeTrade("MSFT", 2), makeTrade("AAPL", 3)]);
+    const messages = await take(stream, 1);
+    assert.deepStrictEqual(messages.map(message => message.Symbol + ":" + message.Price), ["AAPL:3"]);
+    assert.strictEqual(stream.size, 0);
+  }
+  finally {
+    stream.close();
+    await client.stop();
+    await server.stop();
+  }
+});
+
+for (const [overflow, kept] of [["drop-newest", [1, 2, 3]], ["drop-oldest", [8, 9, 10]]]) {
+  test("'" + overflow + "' keeps the stream's queue at bufferSize and counts what it drops", async () => {
+    const server = await startServer();
+    let received = 0;
+    const client = new RealtimeClient("key", () => received++, null, manualConfig(server));
+    const stream = client.stream({ bufferSize: 3, overflow: overflow });
+    try {
+      await client.join("AAPL");
+      await server.waitFor("join");
+      server.sendTrades(tradesAtPrices([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]));
+      await waitUntil(() => received === 10, 5000, "trades");
+      assert.strictEqual(stream.size, 3);
+      assert.strictEqual(stream.dropped, 7);
+      assert.deepStrictEqual((await take(stream, 3)).map(message => message.Price), kept);
+    }
+    finally {
+      stream.close();
+      await client.stop();
+      await server.stop();
+    }
+  });
+}
+
+test("'block' pauses a replay while the stream is full and loses nothing", async () => {
+  const filePath = writeTickFile(tradesAtPrices([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]));
+  let received = 0;
+  const client = new ReplayClient(null, () => received++, null, { replayFiles: filePath, logLevel: "silent" });
+  const stream = client.stream({ bufferSize: 2, overflow: "block" });
+  try {
+    client.join("AAPL");
+    await waitUntil(() => received === 3, 5000, "a full stream");
+    await sleep(100);
+    //the message that found the queue full is kept, then the replay waits
+    assert.strictEqual(received, 3);
+    assert.strictEqual(stream.size, 3);
+    assert.deepStrictEqual((await take(stream, 10)).map(message => message.Price), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.strictEqual(stream.dropped, 0);
+  }
+  finally {
+    stream.close();
+    await client.stop();
+    removeTickFile(filePath);
+  }
+});
+
+test("'block' queues what a realtime client already received without dropping it", async () => {
+  const server = await startServer();
+  const client = new RealtimeClient("key", null, null, manualConfig(server));
+  const stream = client.stream({ bufferSize: 2, overflow: "block" });
+  try {
+    await client.join("AAPL");
+    await server.waitFor("join");
+    for (let price = 1; price <= 10; price++) server.sendTrades(makeTrade("AAPL", price));
+    await waitUntil(() => stream.size >= 2, 5000, "a full stream");
+    assert.deepStrictEqual((await take(stream, 10)).map(message => message.Price), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.strictEqual(stream.dropped, 0);
+  }
+  finally {
+    stream.close();
+    await client.stop();
+    await server.stop();
+  }
+});
+
+test("rejects an unknown overflow policy and a bad bufferSize", () => {
+  const client = new RealtimeClient("key", null, null, { provider: "MANUAL", ipAddress: "localhost:1", autoConnect: false, logLevel: "silent" });
+  assert.throws(() => client.stream({ overflow: "error" }), /overflow/);
+  assert.throws(() => client.stream({ bufferSize: 0 }), /bufferSize/);
+});
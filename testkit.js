@@ -0,0 +1,217 @@
+'use strict'
+
+const EventEmitter = require('events');
+const { encodeTrade, encodeQuote, encodeGroup, readString } = require('./codec');
+
+//A local stand-in for the Intrinio realtime servers, for tests. Point a client at it with the MANUAL provider:
+//  const server = new MockServer(); await server.start();
+//  const client = new RealtimeClient("key", onTrade, onQuote, { provider: "MANUAL", ipAddress: server.ipAddress });
+class IntrinioMockServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this._options = Object.assign({ port: 0, host: "localhost", apiKey: undefined, token: "mock-token", authDelayMs: 0, acknowledgeJoins: false, answerPings: true }, options);
+    this._authDelayMs = this._options.authDelayMs;
+    this._rejectedChannels = new Map(); //channel -> reason
+    this._authFailures = [];
+    this._httpServer = null;
+    this._wsServer = null;
+    this._connections = new Set();
+    this.authRequests = 0;
+    this.joins = [];
+    this.leaves = [];
+  }
+
+  get port() {
+    return this._httpServer ? this._httpServer.address().port : undefined;
+  }
+
+  get ipAddress() {
+    return this._options.host + ":" + this.port;
+  }
+
+  //The channels joined across all open connections, mapped to their trades-only flag. The firehose is "$FIREHOSE".
+  get subscriptions() {
+    const subscriptions = new Map();
+    for (const connection of this._connections) {
+      for (const [channel, tradesOnly] of connection.subscriptions) subscriptions.set(channel, tradesOnly);
+    }
+    return subscriptions;
+  }
+
+  get connectionCount() {
+    return this._connections.size;
+  }
+
+  start() {
+    const http = require('http');
+    const { WebSocketServer } = require('ws');
+    this._httpServer = http.createServer((request, response) => this._handleHttpRequest(request, response));
+    this._wsServer = new WebSocketServer({
+      server: this._httpServer,
+      path: "/socket/websocket",
+      autoPong: this._options.answerPings,
+      verifyClient: (info) => new URL(info.req.url, "http://localhost").searchParams.get("token") === this._options.token
+    });
+    this._wsServer.on("connection", (socket) => this._handleConnection(socket));
+    return new Promise((fulfill, reject) => {
+      this._httpServer.once("error", reject);
+      this._httpServer.listen(this._options.port, this._options.host, () => {
+        this._httpServer.off("error", reject);
+        fulfill(this.port);
+      });
+    });
+  }
+
+  async stop() {
+    for (const connection of this._connections) {
+      connection.socket.terminate();
+    }
+    this._connections.clear();
+    if (this._wsServer) {
+      await new Promise(fulfill => this._wsServer.close(() => fulfill()));
+      this._wsServer = null;
+    }
+    if (this._httpServer) {
+      await new Promise(fulfill => this._httpServer.close(() => fulfill()));
+      this._httpServer = null;
+    }
+  }
+
+  //Makes the next 'times' auth requests fail with the given HTTP status.
+  failAuth(status = 401, times = 1) {
+    for (let i = 0; i < times; i++) this._authFailures.push(status);
+  }
+
+  //Delays every auth response by 'ms' milliseconds.
+  setAuthDelay(ms) {
+    this._authDelayMs = ms;
+  }
+
+  //Refuses future joins of the given channels with a "phx_reply" error carrying 'reason'. The channels aren't subscribed.
+  rejectJoins(channels, reason = "unauthorized") {
+    for (const channel of (channels instanceof Array ? channels : [channels])) this._rejectedChannels.set(channel, reason);
+  }
+
+  //Sends trades to every connection subscribed to their symbol (or to the firehose), one frame per call.
+  sendTrades(trades) {
+    this._sendMessages((trades instanceof Array ? trades : [trades]).map(trade => ({ symbol: trade.Symbol, isTrade: true, bytes: encodeTrade(trade) })));
+  }
+
+  //Sends quotes to every connection subscribed to their symbol (or to the firehose) and not joined trades-only.
+  sendQuotes(quotes) {
+    this._sendMessages((quotes instanceof Array ? quotes : [quotes]).map(quote => ({ symbol: quote.Symbol, isTrade: false, bytes: encodeQuote(quote) })));
+  }
+
+  //Sends raw bytes (e.g. a malformed frame) to every connection, regardless of subscriptions.
+  sendFrame(bytes) {
+    for (const connection of this._connections) connection.socket.send(bytes, { binary: true });
+  }
+
+  sendText(text) {
+    for (const connection of this._connections) connection.socket.send(text, { binary: false });
+  }
+
+  //Drops every connection with the given close code. 1005, 1006 or no code drops the TCP connection without a close frame.
+  dropConnections(code, reason = "") {
+    for (const connection of this._connections) {
+      if ((code === undefined) || (code === 1005) || (code === 1006)) connection.socket.terminate();
+      else connection.socket.close(code, reason);
+    }
+  }
+
+  //Resolves with the arguments of the next 'event' for which 'predicate' returns true.
+  waitFor(event, predicate = () => true, timeoutMs = 10000) {
+    return new Promise((fulfill, reject) => {
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        reject(new Error("Intrinio Mock Server - Timed out waiting for '" + event + "'"));
+      }, timeoutMs);
+      const listener = (...args) => {
+        if (!predicate(...args)) return;
+        clearTimeout(timer);
+        this.off(event, listener);
+        fulfill(args.length > 1 ? args : args[0]);
+      };
+      this.on(event, listener);
+    });
+  }
+
+  async _handleHttpRequest(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    if (url.pathname !== "/auth") {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    this.authRequests++;
+    this.emit("auth", url.searchParams.get("api_key"));
+    if (this._authDelayMs > 0) await new Promise(fulfill => setTimeout(fulfill, this._authDelayMs));
+    const failure = this._authFailures.shift();
+    if (failure !== undefined) {
+      response.writeHead(failure);
+      response.end();
+    }
+    else if ((this._options.apiKey !== undefined) && (url.searchParams.get("api_key") !== this._options.apiKey)) {
+      response.writeHead(401);
+      response.end();
+    }
+    else {
+      response.writeHead(200, { "Content-Type": "text/plain" });
+      response.end(this._options.token);
+    }
+  }
+
+  _handleConnection(socket) {
+    const connection = { socket: socket, subscriptions: new Map() };
+    this._connections.add(connection);
+    socket.on("message", (data, isBinary) => {
+      const bytes = new Uint8Array(data);
+      if (!isBinary || bytes.length < 2) return;
+      if (bytes[0] === 74) {
+        const tradesOnly = bytes[1] === 1;
+        const channel = readString(bytes, 2);
+        const rejection = this._rejectedChannels.get(channel);
+        if (rejection !== undefined) {
+          this._reply(socket, channel, "error", { reason: rejection });
+        }
+        else {
+          connection.subscriptions.set(channel, tradesOnly);
+          if (this._options.acknowledgeJoins) this._reply(socket, channel, "ok", {});
+        }
+        this.joins.push({ channel: channel, tradesOnly: tradesOnly });
+        this.emit("join", channel, tradesOnly);
+      }
+      else if (bytes[0] === 76) {
+        const channel = readString(bytes, 1);
+        connection.subscriptions.delete(channel);
+        this.leaves.push({ channel: channel });
+        this.emit("leave", channel);
+      }
+    });
+    socket.on("close", (code) => {
+      this._connections.delete(connection);
+      this.emit("disconnect", code);
+    });
+    this.emit("connection");
+  }
+
+  _reply(socket, channel, status, response) {
+    socket.send(JSON.stringify({ topic: channel, event: "phx_reply", payload: { status: status, response: response } }), { binary: false });
+  }
+
+  _sendMessages(messages) {
+    for (const connection of this._connections) {
+      const selected = messages.filter(message => {
+        const tradesOnly = connection.subscriptions.has("$FIREHOSE") ? connection.subscriptions.get("$FIREHOSE") : connection.subscriptions.get(message.symbol);
+        return (tradesOnly !== undefined) && (message.isTrade || !tradesOnly);
+      });
+      if (selected.length > 0) {
+        connection.socket.send(encodeGroup(selected.map(message => message.bytes)), { binary: true });
+      }
+    }
+  }
+}
+
+module.exports = {
+  MockServer: IntrinioMockServer
+};